@@ -0,0 +1,1293 @@
+// Express app shared by the long-running server (server/index.js) and the
+// Vercel serverless function (api/index.js). Every setting can be injected,
+// which also lets the routes run against a stubbed data source; anything not
+// passed falls back to the environment.
+
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import compression from 'compression';
+import { MRMS_DISCIPLINE, lookupMRMSParameter } from './mrmsTables.js';
+import { COVERAGE_STYLES } from './radarPipeline.js';
+import { loadProductCatalog } from './products.js';
+import { REFERENCE_DIR, loadMapLayers, availableOverlays, mapContentSecurity } from './mapLayers.js';
+import { findNearestCell, findGridWindow, parseBbox, parsePolygon, QUALITY_NAMES } from './gridQuery.js';
+import { EXPORT_FORMATS } from './gridExport.js';
+import { MAX_CONTOUR_LEVELS } from './contours.js';
+import {
+  DEFAULT_PERCENTILES,
+  MAX_STAT_THRESHOLDS,
+  MAX_PERCENTILES,
+  MAX_HISTOGRAM_BINS
+} from './regionStats.js';
+import { DEFAULT_STORM_THRESHOLD, DEFAULT_MIN_CELL_AREA, trackStormCells } from './stormCells.js';
+import { DEFAULT_ECHO_DISTANCE, MAX_ECHO_DISTANCE, estimateArrival } from './nearestEcho.js';
+import { createWatchList, parseWatch } from './watchList.js';
+import { createDataSource, dataSourceFromEnv } from './dataSources.js';
+import { createFrameArchive } from './frameArchive.js';
+import { createCache } from './cache.js';
+import { createFrameStream } from './frameStream.js';
+import { createBufferStore, createRadarDataStore } from './diskStore.js';
+import {
+  decodeRadarFileInWorker,
+  generateRadarImageInWorker,
+  renderRadarTileInWorker,
+  exportGridInWorker,
+  traceContoursInWorker,
+  findStormCellsInWorker,
+  computeRegionStatsInWorker,
+  encodeQuantizedGridInWorker,
+  findNearestEchoInWorker,
+  measureWatchesInWorker
+} from './radarWorkers.js';
+import { MAX_GRID_STRIDE } from './quantizedGrid.js';
+import { join } from 'path';
+import { gunzipSync } from 'zlib';
+
+const MAX_TILE_ZOOM = 14;
+const STORM_BASELINE_MINUTES = 10; // how far back storm motion is measured
+const ECHO_HISTORY_MINUTES = [20, 10]; // earlier frames the nearest echo's approach is measured over
+const ECHO_HISTORY_TOLERANCE_MINUTES = 4; // how far an archived frame may be from those times
+const MB = 1024 * 1024;
+
+// Options:
+//   products        - product catalog (default: MRMS_PRODUCTS, overlaid with RADAR_PRODUCTS_FILE if set)
+//   dataSource      - object with fetchLatest(product, validators) (default: from RADAR_SOURCE)
+//   updateIntervalMs - how often the source publishes a new frame (default: 2 minutes)
+//   recheckMs       - how often to revalidate once a new frame is due (default: RADAR_RECHECK_SECONDS or 30 s)
+//   staleAfterMs    - age at which the latest frame is flagged stale (default: RADAR_STALE_MINUTES or 10 minutes)
+//   cacheMaxBytes   - memory budget for decoded grids (default: RADAR_CACHE_MB or 512 MB)
+//   imageCacheMaxBytes - memory budget for rendered PNGs (default: RADAR_IMAGE_CACHE_MB or 64 MB);
+//                     quantised grids and contours get a quarter of it each
+//   cacheDir        - also keep grids, PNGs and quantised grids on disk here (default: RADAR_CACHE_DIR)
+//   frameMinutes, maxFrames, decodedFrames - frame archive retention
+//   archiveMaxBytes - memory budget for the archived source files of all products (default: RADAR_ARCHIVE_MB or 256 MB)
+//   watchesFile     - JSON file for the watch list and alerts (default: RADAR_WATCHES_FILE or data/watches.json);
+//                     null keeps them in memory only
+//   mapLayers       - basemaps and reference overlays (default: MAP_LAYERS, or RADAR_MAP_LAYERS_FILE if set)
+//   referenceDir    - directory of reference overlay GeoJSON (default: RADAR_REFERENCE_DIR or server/reference)
+//   staticDir       - serve the built frontend from this directory
+export function createApp({
+  products = loadProductCatalog(process.env.RADAR_PRODUCTS_FILE),
+  dataSource = createDataSource(dataSourceFromEnv(process.env)),
+  updateIntervalMs = 2 * 60 * 1000,
+  recheckMs = (Number(process.env.RADAR_RECHECK_SECONDS) || 30) * 1000,
+  staleAfterMs = (Number(process.env.RADAR_STALE_MINUTES) || 10) * 60 * 1000,
+  cacheMaxBytes = (Number(process.env.RADAR_CACHE_MB) || 512) * MB,
+  imageCacheMaxBytes = (Number(process.env.RADAR_IMAGE_CACHE_MB) || 64) * MB,
+  cacheDir = process.env.RADAR_CACHE_DIR || null,
+  frameMinutes = Number(process.env.RADAR_FRAME_MINUTES) || 120,
+  maxFrames = Number(process.env.RADAR_MAX_FRAMES) || 60,
+  decodedFrames = Number(process.env.RADAR_DECODED_FRAMES) || 2,
+  archiveMaxBytes = (Number(process.env.RADAR_ARCHIVE_MB) || 256) * MB,
+  watchesFile = process.env.RADAR_WATCHES_FILE || join(process.cwd(), 'data', 'watches.json'),
+  mapLayers = loadMapLayers(process.env.RADAR_MAP_LAYERS_FILE),
+  referenceDir = process.env.RADAR_REFERENCE_DIR || REFERENCE_DIR,
+  staticDir = null
+} = {}) {
+  const app = express();
+
+  const overlays = availableOverlays(mapLayers.overlays, referenceDir);
+  // Tile and GeoJSON hosts come from the map layer configuration
+  const mapSources = mapContentSecurity({ basemaps: mapLayers.basemaps, overlays });
+
+  // Security middleware
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'"],
+        imgSrc: ["'self'", 'data:', ...mapSources.imgSrc],
+        connectSrc: ["'self'", 'https://mrms.ncep.noaa.gov', ...mapSources.connectSrc],
+        frameSrc: ["'none'"],
+      },
+    },
+    crossOriginEmbedderPolicy: false, // Allow loading basemap tiles from other hosts
+  }));
+
+  // Enable CORS
+  app.use(cors());
+
+  // Enable response compression
+  app.use(compression());
+
+  // Parse JSON bodies; a body that can't be parsed gets the usual JSON error
+  app.use(express.json());
+  app.use((error, req, res, next) => {
+    if (error.type !== 'entity.parse.failed' && error.type !== 'entity.too.large') {
+      return next(error);
+    }
+    console.error(`[ERROR] Unreadable body for ${req.method} ${req.path}:`, error.message);
+    res.status(error.status).json({
+      error: 'Invalid request body',
+      message: error.type === 'entity.too.large' ? 'Request body is too large' : 'Request body must be valid JSON'
+    });
+  });
+
+  // Serve the built frontend
+  if (staticDir) {
+    app.use(express.static(staticDir));
+  }
+
+  // Latest radar data per product, bounded by the size of the decoded grids.
+  // A frame is kept until its successor is due (valid time + update interval),
+  // then revalidated against the source at most every recheckMs.
+  const dataCache = createCache({
+    maxBytes: cacheMaxBytes,
+    expiresAt: (data, time) => Math.max(Date.parse(data.timestamp) + updateIntervalMs, time + recheckMs),
+    sizeOf: ({ _fullData: grid }) => grid.values.byteLength + grid.quality.byteLength,
+    store: cacheDir ? createRadarDataStore(join(cacheDir, 'grids')) : null,
+    // After a restart, frames read back from disk are recorded like fetched ones
+    restored: (productId, radarData) => recordFrame(productId, radarData)
+  });
+
+  // Rendered tiles and images, keyed by product, frame time, style and tile
+  // address. Keys change with every new frame, so stale entries just age out.
+  const imageStore = cacheDir ? createBufferStore(join(cacheDir, 'images')) : null;
+  const imageCache = createCache({
+    maxBytes: imageCacheMaxBytes,
+    sizeOf: (png) => png.length,
+    store: imageStore
+  });
+
+  // Gzipped quantised grids for in-browser rendering, keyed by product, frame
+  // time, stride and bbox; kept apart from the PNGs they would otherwise
+  // crowd out
+  const gridStore = cacheDir ? createBufferStore(join(cacheDir, 'quantized'), { extension: '.qgrid.gz' }) : null;
+  const gridCache = createCache({
+    maxBytes: imageCacheMaxBytes / 4,
+    sizeOf: (payload) => payload.length,
+    store: gridStore
+  });
+
+  // Contour GeoJSON, keyed like images plus levels, bbox and tolerance
+  const contourCache = createCache({
+    maxBytes: imageCacheMaxBytes / 4,
+    sizeOf: (json) => json.length
+  });
+
+  // Storm cells per frame and detection settings; a few hundred bytes a cell
+  const stormCache = createCache({
+    maxBytes: 4 * MB,
+    sizeOf: (cells) => 100 + cells.length * 300
+  });
+
+  // Images and grids on disk are only reachable while their frame is archived
+  if (imageStore) {
+    imageStore.sweep(frameMinutes * 60 * 1000)
+      .then((removed) => removed && console.log(`[CACHE] Removed ${removed} expired images from ${cacheDir}`))
+      .catch((error) => console.error('[ERROR] Failed to sweep image cache:', error.message));
+  }
+  if (gridStore) {
+    gridStore.sweep(frameMinutes * 60 * 1000)
+      .then((removed) => removed && console.log(`[CACHE] Removed ${removed} expired quantised grids from ${cacheDir}`))
+      .catch((error) => console.error('[ERROR] Failed to sweep quantised grid cache:', error.message));
+  }
+
+  // Recent frames per product for the animated loop (default: 2 hours at the
+  // 2-minute MRMS cadence). Frames are recorded as the latest file is fetched
+  // or read back from the disk cache.
+  const frameArchive = createFrameArchive({
+    maxFrames,
+    maxAgeMs: frameMinutes * 60 * 1000,
+    maxBytes: archiveMaxBytes,
+    decodedLimit: decodedFrames,
+    decode: async (productId, source) => {
+      const gribData = await decodeRadarFileInWorker(productId, products[productId], source);
+      return describeRadarData(gribData);
+    }
+  });
+
+  // Fetch and process MRMS data. With `previous` (the expired cached data) the
+  // fetch is conditional, and an unchanged file just refreshes `previous`.
+  async function fetchRadarData(productId = 'rala', previous = null) {
+    try {
+      const product = products[productId];
+      if (!product) {
+        throw new Error(`Unknown product: ${productId}`);
+      }
+
+      const result = await dataSource.fetchLatest(product, previous?.validators);
+      if (result.notModified && previous) {
+        console.log(`[INFO] ${productId} unchanged at source, still ${previous.timestamp}`);
+        previous.fetchedAt = new Date().toISOString();
+        return previous;
+      }
+
+      const source = result.bytes;
+      console.log('[INFO] Downloaded data size:', source.byteLength, 'bytes');
+
+      // Decompress and parse off the HTTP thread
+      const grid = await decodeRadarFileInWorker(productId, product, source);
+
+      const radarData = describeRadarData(grid);
+      radarData.validators = result.validators || {};
+      radarData.fetchedAt = new Date().toISOString();
+      radarData._source = source;
+      recordFrame(productId, radarData, previous);
+      return radarData;
+    } catch (error) {
+      console.error('[ERROR] Error in fetchRadarData:', error.message);
+      console.error('[ERROR] Stack trace:', error.stack);
+      throw error;
+    }
+  }
+
+  // Archive a fetched or restored frame and, unless it's the `previous` frame
+  // again, announce it and check it against the watches
+  function recordFrame(productId, radarData, previous = null) {
+    if (radarData._source) {
+      frameArchive.add(productId, radarData, radarData._source);
+    }
+    if (radarData.timestamp !== previous?.timestamp) {
+      frameStream.announce(productId, radarData.timestamp);
+      checkWatches(productId, radarData);
+    }
+  }
+
+  // Latest radar data for a product; concurrent misses share one fetch
+  function getLatestRadarData(productId) {
+    return dataCache.get(productId, (expired) => {
+      console.log(expired
+        ? `[CACHE REVALIDATE] Checking for a newer ${productId} frame than ${expired.timestamp}...`
+        : `[CACHE MISS] Fetching fresh ${productId} radar data...`);
+      return fetchRadarData(productId, expired);
+    });
+  }
+
+  // The frame a request addresses: the archived frame at `time`, or the
+  // latest without one. Answers 400 for an unreadable time and 404 for a
+  // frame that isn't archived, returning null; otherwise { data, archived }.
+  async function resolveFrame(req, res, productId, time = req.query.time) {
+    const frameTime = parseFrameTime(time);
+    if (Number.isNaN(frameTime)) {
+      res.status(400).json({
+        error: 'Invalid frame time',
+        message: 'time must be an ISO 8601 timestamp listed by /api/radar/frames'
+      });
+      return null;
+    }
+    if (frameTime === null) {
+      return { data: await getLatestRadarData(productId), archived: false };
+    }
+
+    const data = await frameArchive.get(productId, frameTime);
+    if (!data) {
+      res.status(404).json({
+        error: 'Frame not found',
+        message: `No ${productId} frame is archived for ${time}`
+      });
+      return null;
+    }
+    return { data, archived: true };
+  }
+
+  // Storm cells in one frame. Echo tops are only looked up for the latest
+  // frame, where they come from the latest echo tops frame.
+  function getStormCells(productId, data, { threshold, minArea, echoTops = null }) {
+    const key = `${productId}-${Date.parse(data.timestamp)}-${threshold}-${minArea}${echoTops ? '-tops' : ''}`;
+    return stormCache.get(key, () => {
+      console.log(`Finding ${productId} storm cells >= ${threshold} dBZ for ${data.timestamp}...`);
+      return findStormCellsInWorker(data._fullData, { threshold, minArea, echoTops });
+    });
+  }
+
+  // Sites to watch; their products are checked in the background
+  const watchList = createWatchList({ file: watchesFile, products, measure: measureWatchesInWorker });
+
+  // New frame announcements; while clients are connected or watches exist,
+  // the streamed and watched products are checked every recheckMs
+  const frameStream = createFrameStream({
+    productIds: Object.keys(products),
+    defaultProduct: 'rala',
+    pollMs: recheckMs,
+    poll: getLatestRadarData,
+    backgroundProducts: watchList.productIds
+  });
+  // The stream is scheduled even if the saved watches can't be read
+  watchList.list()
+    .catch((error) => console.error('[ERROR] Failed to load the watch list:', error.message))
+    .then(() => frameStream.schedule());
+
+  // Evaluate watches against a new frame and push any alerts to stream clients
+  function checkWatches(productId, radarData) {
+    watchList.evaluate(productId, radarData)
+      .then((events) => events.forEach((event) => frameStream.broadcast('alert', event)))
+      .catch((error) => console.error(`[ERROR] Failed to evaluate ${productId} watches:`, error.message));
+  }
+
+  // API endpoint to list available products
+  app.get('/api/products', (req, res) => {
+    console.log('[API] GET /api/products');
+    const catalog = Object.entries(products).map(([id, info]) => {
+      const { category, number } = info.parameter;
+      const parameter = lookupMRMSParameter(MRMS_DISCIPLINE, category, number);
+      return {
+        id,
+        name: info.name,
+        group: info.group || null,
+        description: info.description,
+        units: info.units,
+        range: info.range,
+        contourLevels: info.contourLevels || [],
+        stormTracking: Boolean(info.stormTracking),
+        colorScale: info.colorScale,
+        parameter: {
+          discipline: MRMS_DISCIPLINE,
+          category,
+          number,
+          name: parameter?.name || null
+        }
+      };
+    });
+    console.log(`[SUCCESS] Returning ${catalog.length} products`);
+    res.json({ products: catalog });
+  });
+
+  // API endpoint to list the basemaps and reference overlays the map offers.
+  // Overlays with a file in the reference directory are served below.
+  app.get('/api/map/layers', (req, res) => {
+    console.log('[API] GET /api/map/layers');
+    res.json({
+      defaultBasemap: mapLayers.defaultBasemap,
+      basemaps: mapLayers.basemaps,
+      overlays: overlays.map(({ file, url, ...overlay }) => ({
+        ...overlay,
+        url: file ? `/api/map/reference/${overlay.id}` : url
+      }))
+    });
+  });
+
+  // API endpoint to get a reference overlay's GeoJSON
+  app.get('/api/map/reference/:id', (req, res) => {
+    const overlay = overlays.find((item) => item.id === req.params.id && item.file);
+    if (!overlay) {
+      return res.status(404).json({
+        error: 'Unknown overlay',
+        message: `No reference overlay file for ${req.params.id}`
+      });
+    }
+
+    // Reference data only changes with a deployment
+    res.sendFile(join(referenceDir, overlay.file), { maxAge: '1d' }, (error) => {
+      if (!error) return;
+      console.error('[ERROR] Error in /api/map/reference:', error.message);
+      if (!res.headersSent) {
+        res.status(500).json({
+          error: 'Failed to read overlay',
+          message: error.message
+        });
+      }
+    });
+  });
+
+  // API endpoint to get latest radar data metadata only
+  app.get('/api/radar/latest', async (req, res) => {
+    try {
+      const productId = req.query.product || 'rala';
+      console.log(`[API] GET /api/radar/latest - Product: ${productId}`);
+      if (!products[productId]) {
+        return res.status(404).json({
+          error: 'Unknown product',
+          message: `Unknown product: ${productId}`
+        });
+      }
+      const radarData = await getLatestRadarData(productId);
+
+      // Age is measured from the GRIB valid time, not from when we fetched it
+      const ageMs = Date.now() - Date.parse(radarData.timestamp);
+
+      // Only return metadata, not full data with values
+      console.log(`[SUCCESS] Sending radar metadata for ${productId}`);
+      res.json({
+        timestamp: radarData.timestamp,
+        validTime: radarData.timestamp,
+        fetchedAt: radarData.fetchedAt,
+        ageSeconds: Math.round(ageMs / 1000),
+        stale: ageMs > staleAfterMs,
+        metadata: radarData.metadata,
+        parameter: radarData.parameter,
+        product: productId
+      });
+    } catch (error) {
+      console.error('[ERROR] Error in /api/radar/latest:', error.message);
+      console.error('[ERROR] Stack:', error.stack);
+      res.status(500).json({
+        error: 'Failed to fetch radar data',
+        message: error.message,
+        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
+    }
+  });
+
+  // API endpoint to get radar image
+  app.get('/api/radar/image', async (req, res) => {
+    try {
+      const productId = req.query.product || 'rala';
+      const coverage = req.query.coverage || 'none';
+      if (!products[productId]) {
+        return res.status(404).json({
+          error: 'Unknown product',
+          message: `Unknown product: ${productId}`
+        });
+      }
+      if (!COVERAGE_STYLES.includes(coverage)) {
+        return res.status(400).json({
+          error: 'Invalid coverage style',
+          message: `coverage must be one of: ${COVERAGE_STYLES.join(', ')}`
+        });
+      }
+
+      const frame = await resolveFrame(req, res, productId);
+      if (!frame) return;
+      const { data, archived } = frame;
+
+      const imageKey = `${productId}-${Date.parse(data.timestamp)}-${coverage}-image`;
+      const imageBuffer = await imageCache.get(imageKey, () => {
+        console.log(`Generating ${productId} radar image for ${data.timestamp}...`);
+        return generateRadarImageInWorker(data._fullData, {
+          coverage,
+          colorScale: products[productId].colorScale
+        });
+      });
+
+      res.set('Content-Type', 'image/png');
+      // Archived frames never change; the latest one does every 2 minutes
+      res.set('Cache-Control', archived ? 'public, max-age=86400, immutable' : 'public, max-age=120');
+      res.set('X-Content-Type-Options', 'nosniff');
+      res.send(imageBuffer);
+    } catch (error) {
+      console.error('Error in /api/radar/image:', error);
+      res.status(500).json({
+        error: 'Failed to generate radar image',
+        message: error.message
+      });
+    }
+  });
+
+  // Server-Sent Events stream of { product, validTime } as new frames arrive
+  app.get('/api/radar/stream', (req, res) => {
+    console.log(`[API] GET /api/radar/stream - Product: ${req.query.product || 'rala'}`);
+    frameStream.connect(req, res);
+  });
+
+  // API endpoint to list the archived frames of a product, oldest first
+  app.get('/api/radar/frames', async (req, res) => {
+    try {
+      const productId = req.query.product || 'rala';
+      console.log(`[API] GET /api/radar/frames - Product: ${productId}`);
+      if (!products[productId]) {
+        return res.status(404).json({
+          error: 'Unknown product',
+          message: `Unknown product: ${productId}`
+        });
+      }
+      // Make sure the newest frame has been recorded
+      const latest = await getLatestRadarData(productId);
+
+      res.json({
+        product: productId,
+        latest: latest.timestamp,
+        frames: frameArchive.list(productId),
+        retention: { maxFrames: maxFrames, minutes: frameMinutes }
+      });
+    } catch (error) {
+      console.error('[ERROR] Error in /api/radar/frames:', error.message);
+      res.status(500).json({
+        error: 'Failed to list radar frames',
+        message: error.message
+      });
+    }
+  });
+
+  // API endpoint to get the raw value at the grid cell nearest a point, in
+  // the latest frame or the archived frame at `time`
+  app.get('/api/radar/point', async (req, res) => {
+    try {
+      const productId = req.query.product || 'rala';
+      const lat = parseFloat(req.query.lat);
+      const lon = parseFloat(req.query.lon);
+      console.log(`[API] GET /api/radar/point - Product: ${productId}, lat: ${req.query.lat}, lon: ${req.query.lon}`);
+
+      if (!products[productId]) {
+        return res.status(404).json({
+          error: 'Unknown product',
+          message: `Unknown product: ${productId}`
+        });
+      }
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+        return res.status(400).json({
+          error: 'Invalid point',
+          message: 'lat and lon must be numbers'
+        });
+      }
+
+      const frame = await resolveFrame(req, res, productId);
+      if (!frame) return;
+      const { data } = frame;
+
+      const grid = data._fullData;
+      const cell = findNearestCell(grid, lat, lon);
+
+      if (!cell) {
+        return res.status(404).json({
+          error: 'Point outside radar grid',
+          message: `(${lat}, ${lon}) is outside the ${productId} grid`
+        });
+      }
+
+      const quality = QUALITY_NAMES[grid.quality[cell.index]];
+      res.json({
+        product: productId,
+        validTime: data.timestamp,
+        value: quality === 'valid' ? grid.values[cell.index] : null,
+        units: products[productId].units,
+        quality,
+        grid: { i: cell.i, j: cell.j, lat: cell.lat, lon: cell.lon }
+      });
+    } catch (error) {
+      console.error('[ERROR] Error in /api/radar/point:', error.message);
+      res.status(500).json({
+        error: 'Failed to query radar data',
+        message: error.message
+      });
+    }
+  });
+
+  // API endpoint for the nearest echo at or above a threshold around a point,
+  // with how fast it has been closing in over the last few archived frames
+  app.get('/api/radar/nearest', async (req, res) => {
+    try {
+      const productId = req.query.product || 'rala';
+      const lat = parseFloat(req.query.lat);
+      const lon = parseFloat(req.query.lon);
+      console.log(`[API] GET /api/radar/nearest - Product: ${productId}, lat: ${req.query.lat}, lon: ${req.query.lon}`);
+
+      const product = products[productId];
+      if (!product) {
+        return res.status(404).json({
+          error: 'Unknown product',
+          message: `Unknown product: ${productId}`
+        });
+      }
+
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+        return res.status(400).json({
+          error: 'Invalid point',
+          message: 'lat and lon must be numbers'
+        });
+      }
+
+      // Defaults to the product's lowest contour level, e.g. 20 dBZ
+      const threshold = req.query.threshold === undefined ? product.contourLevels?.[0] : parseFloat(req.query.threshold);
+      if (!Number.isFinite(threshold)) {
+        return res.status(400).json({
+          error: 'Invalid threshold',
+          message: req.query.threshold === undefined
+            ? `${productId} has no contour levels, so threshold must be given`
+            : 'threshold must be a number'
+        });
+      }
+
+      const maxDistanceKm = req.query.maxDistance === undefined ? DEFAULT_ECHO_DISTANCE : parseFloat(req.query.maxDistance);
+      if (!(maxDistanceKm > 0 && maxDistanceKm <= MAX_ECHO_DISTANCE)) {
+        return res.status(400).json({
+          error: 'Invalid maxDistance',
+          message: `maxDistance must be a distance in km up to ${MAX_ECHO_DISTANCE}`
+        });
+      }
+
+      const data = await getLatestRadarData(productId);
+      const grid = data._fullData;
+      const cell = findNearestCell(grid, lat, lon);
+      if (!cell) {
+        return res.status(404).json({
+          error: 'Point outside radar grid',
+          message: `(${lat}, ${lon}) is outside the ${productId} grid`
+        });
+      }
+
+      const options = { lat, lon, threshold, maxDistanceKm };
+      const nearest = await findNearestEchoInWorker(grid, options);
+
+      // The archived frames closest to each ECHO_HISTORY_MINUTES earlier.
+      // They only refine the estimate, so one that fails to load is left out.
+      const time = Date.parse(data.timestamp);
+      const archived = frameArchive.list(productId)
+        .map((frame) => Date.parse(frame.time))
+        .filter((frameTime) => frameTime < time);
+      const historyTimes = [...new Set(ECHO_HISTORY_MINUTES.map((minutes) => {
+        const target = time - minutes * 60 * 1000;
+        return archived
+          .filter((frameTime) => Math.abs(frameTime - target) <= ECHO_HISTORY_TOLERANCE_MINUTES * 60 * 1000)
+          .sort((a, b) => Math.abs(a - target) - Math.abs(b - target))[0];
+      }).filter((frameTime) => frameTime !== undefined))];
+
+      const history = [];
+      for (const frameTime of historyTimes) {
+        try {
+          const frameData = await frameArchive.get(productId, frameTime);
+          const echo = await findNearestEchoInWorker(frameData._fullData, options);
+          history.push({ time: frameTime, distanceKm: echo ? echo.distanceKm : null });
+        } catch (error) {
+          console.error(`[ERROR] Skipping ${productId} frame ${new Date(frameTime).toISOString()} for the nearest echo: ${error.message}`);
+        }
+      }
+      history.push({ time, distanceKm: nearest ? nearest.distanceKm : null });
+
+      const quality = QUALITY_NAMES[grid.quality[cell.index]];
+      res.json({
+        product: productId,
+        validTime: data.timestamp,
+        units: product.units,
+        threshold,
+        maxDistanceKm,
+        point: {
+          value: quality === 'valid' ? grid.values[cell.index] : null,
+          quality
+        },
+        nearest,
+        history: history.map((entry) => ({ validTime: new Date(entry.time).toISOString(), distanceKm: entry.distanceKm })),
+        arrival: estimateArrival(history)
+      });
+    } catch (error) {
+      console.error('[ERROR] Error in /api/radar/nearest:', error.message);
+      res.status(500).json({
+        error: 'Failed to find the nearest echo',
+        message: error.message
+      });
+    }
+  });
+
+  // API endpoint to download the raw grid as a GeoTIFF or binary array,
+  // optionally cropped to a west,south,east,north bounding box
+  app.get('/api/radar/export', async (req, res) => {
+    try {
+      const productId = req.query.product || 'rala';
+      const format = req.query.format || 'geotiff';
+      console.log(`[API] GET /api/radar/export - Product: ${productId}, format: ${format}, bbox: ${req.query.bbox || 'none'}`);
+
+      if (!products[productId]) {
+        return res.status(404).json({
+          error: 'Unknown product',
+          message: `Unknown product: ${productId}`
+        });
+      }
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          error: 'Invalid format',
+          message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+        });
+      }
+
+      const bbox = req.query.bbox === undefined ? null : parseBbox(req.query.bbox);
+      if (req.query.bbox !== undefined && !bbox) {
+        return res.status(400).json({
+          error: 'Invalid bounding box',
+          message: 'bbox must be west,south,east,north in degrees, with west < east and south < north'
+        });
+      }
+
+      const frame = await resolveFrame(req, res, productId);
+      if (!frame) return;
+      const { data, archived } = frame;
+
+      const window = findGridWindow(data._fullData, bbox);
+      if (!window) {
+        return res.status(400).json({
+          error: 'Bounding box outside radar grid',
+          message: `${req.query.bbox} does not overlap the ${productId} grid`
+        });
+      }
+
+      const payload = await exportGridInWorker(data._fullData, {
+        format,
+        window,
+        header: {
+          product: productId,
+          validTime: data.timestamp,
+          units: products[productId].units,
+          quality: QUALITY_NAMES
+        }
+      });
+
+      // e.g. rala_20240501-120000.tif
+      const stamp = data.timestamp.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+      const extension = format === 'geotiff' ? 'tif' : 'bin';
+      res.set({
+        'Content-Type': format === 'geotiff' ? 'image/tiff' : 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${productId}_${stamp}.${extension}"`,
+        'Cache-Control': archived ? 'public, max-age=86400, immutable' : 'public, max-age=120'
+      });
+      console.log(`[SUCCESS] Exported ${window.nx}x${window.ny} ${productId} ${format} (${payload.length} bytes)`);
+      res.send(payload);
+    } catch (error) {
+      console.error('[ERROR] Error in /api/radar/export:', error.message);
+      res.status(500).json({
+        error: 'Failed to export radar data',
+        message: error.message
+      });
+    }
+  });
+
+  // API endpoint to get a frame as one byte per cell (see quantizedGrid.js)
+  // for the frontend to colour itself; gzipped, and cached like tiles
+  app.get('/api/radar/grid', async (req, res) => {
+    try {
+      const productId = req.query.product || 'rala';
+      const stride = req.query.stride === undefined ? 1 : Number(req.query.stride);
+      console.log(`[API] GET /api/radar/grid - Product: ${productId}, stride: ${stride}, bbox: ${req.query.bbox || 'none'}`);
+
+      if (!products[productId]) {
+        return res.status(404).json({
+          error: 'Unknown product',
+          message: `Unknown product: ${productId}`
+        });
+      }
+      if (!Number.isInteger(stride) || stride < 1 || stride > MAX_GRID_STRIDE) {
+        return res.status(400).json({
+          error: 'Invalid stride',
+          message: `stride must be a whole number from 1 to ${MAX_GRID_STRIDE}`
+        });
+      }
+
+      const bbox = req.query.bbox === undefined ? null : parseBbox(req.query.bbox);
+      if (req.query.bbox !== undefined && !bbox) {
+        return res.status(400).json({
+          error: 'Invalid bounding box',
+          message: 'bbox must be west,south,east,north in degrees, with west < east and south < north'
+        });
+      }
+
+      const frame = await resolveFrame(req, res, productId);
+      if (!frame) return;
+      const { data, archived } = frame;
+
+      const window = findGridWindow(data._fullData, bbox);
+      if (!window) {
+        return res.status(400).json({
+          error: 'Bounding box outside radar grid',
+          message: `${req.query.bbox} does not overlap the ${productId} grid`
+        });
+      }
+
+      const gridKey = `grid-${productId}-${Date.parse(data.timestamp)}-${stride}-${bbox ? Object.values(bbox).join(',') : 'all'}`;
+      const cacheControl = archived ? 'public, max-age=86400, immutable' : 'public, max-age=120';
+      res.set('ETag', `"${gridKey}"`);
+      res.set('Vary', 'Accept-Encoding');
+      if (req.fresh) {
+        res.set('Cache-Control', cacheControl);
+        return res.status(304).end();
+      }
+
+      const payload = await gridCache.get(gridKey, () => encodeQuantizedGridInWorker(data._fullData, {
+        window,
+        stride,
+        range: products[productId].range,
+        header: {
+          product: productId,
+          validTime: data.timestamp,
+          units: products[productId].units
+        }
+      }));
+
+      // Only an encoded grid may be cached
+      res.set('Cache-Control', cacheControl);
+      res.set('Content-Type', 'application/octet-stream');
+      // Sent as stored; the compression middleware leaves encoded bodies alone
+      if (req.acceptsEncodings('gzip')) {
+        res.set('Content-Encoding', 'gzip');
+        res.send(payload);
+      } else {
+        res.send(gunzipSync(payload));
+      }
+    } catch (error) {
+      console.error('[ERROR] Error in /api/radar/grid:', error.message);
+      res.removeHeader('ETag');
+      res.removeHeader('Cache-Control');
+      res.status(500).json({
+        error: 'Failed to encode radar grid',
+        message: error.message
+      });
+    }
+  });
+
+  // API endpoint to get threshold polygons (value >= level) as GeoJSON, one
+  // MultiPolygon feature per level
+  app.get('/api/radar/contours', async (req, res) => {
+    try {
+      const productId = req.query.product || 'rala';
+      console.log(`[API] GET /api/radar/contours - Product: ${productId}, levels: ${req.query.levels || 'default'}, bbox: ${req.query.bbox || 'none'}`);
+
+      const product = products[productId];
+      if (!product) {
+        return res.status(404).json({
+          error: 'Unknown product',
+          message: `Unknown product: ${productId}`
+        });
+      }
+
+      const levels = req.query.levels === undefined
+        ? product.contourLevels || []
+        : String(req.query.levels).split(',').map((part) => (part.trim() === '' ? NaN : Number(part)));
+      if (levels.length === 0 || levels.length > MAX_CONTOUR_LEVELS || !levels.every(Number.isFinite)) {
+        return res.status(400).json({
+          error: 'Invalid levels',
+          message: `levels must be 1 to ${MAX_CONTOUR_LEVELS} comma-separated numbers`
+        });
+      }
+
+      const bbox = req.query.bbox === undefined ? null : parseBbox(req.query.bbox);
+      if (req.query.bbox !== undefined && !bbox) {
+        return res.status(400).json({
+          error: 'Invalid bounding box',
+          message: 'bbox must be west,south,east,north in degrees, with west < east and south < north'
+        });
+      }
+
+      const tolerance = req.query.tolerance === undefined ? null : parseFloat(req.query.tolerance);
+      if (tolerance !== null && !(tolerance >= 0)) {
+        return res.status(400).json({
+          error: 'Invalid tolerance',
+          message: 'tolerance must be a non-negative number of degrees'
+        });
+      }
+
+      const frame = await resolveFrame(req, res, productId);
+      if (!frame) return;
+      const { data, archived } = frame;
+
+      const window = findGridWindow(data._fullData, bbox);
+      if (!window) {
+        return res.status(400).json({
+          error: 'Bounding box outside radar grid',
+          message: `${req.query.bbox} does not overlap the ${productId} grid`
+        });
+      }
+
+      // Simplify to about one grid cell unless asked otherwise
+      const simplify = tolerance ?? window.dx;
+      const contourKey = `${productId}-${Date.parse(data.timestamp)}-${levels.join(',')}-${req.query.bbox || 'all'}-${simplify}`;
+      const geojson = await contourCache.get(contourKey, () => {
+        console.log(`Tracing ${productId} contours at ${levels.join(', ')} ${product.units} for ${data.timestamp}...`);
+        return traceContoursInWorker(data._fullData, {
+          window,
+          levels,
+          tolerance: simplify,
+          properties: { product: productId, units: product.units, validTime: data.timestamp }
+        });
+      });
+
+      res.set({
+        'Content-Type': 'application/geo+json',
+        'Cache-Control': archived ? 'public, max-age=86400, immutable' : 'public, max-age=120'
+      });
+      res.send(geojson);
+    } catch (error) {
+      console.error('[ERROR] Error in /api/radar/contours:', error.message);
+      res.status(500).json({
+        error: 'Failed to trace contours',
+        message: error.message
+      });
+    }
+  });
+
+  // API endpoint to summarise a product over a bounding box or polygon:
+  // area-weighted min/max/mean, percentiles, the area above each threshold
+  // and a histogram
+  app.post('/api/radar/stats', async (req, res) => {
+    try {
+      const {
+        product: productId = 'rala',
+        bbox: bboxInput,
+        geometry,
+        thresholds: thresholdsInput,
+        percentiles = DEFAULT_PERCENTILES,
+        bins,
+        time
+      } = req.body || {};
+      console.log(`[API] POST /api/radar/stats - Product: ${productId}, region: ${geometry ? 'polygon' : `bbox ${bboxInput}`}`);
+
+      const product = products[productId];
+      if (!product) {
+        return res.status(404).json({
+          error: 'Unknown product',
+          message: `Unknown product: ${productId}`
+        });
+      }
+
+      if ((bboxInput === undefined) === (geometry === undefined)) {
+        return res.status(400).json({
+          error: 'Invalid region',
+          message: 'Give exactly one of bbox ([west, south, east, north]) or geometry (a GeoJSON Polygon)'
+        });
+      }
+
+      const bbox = bboxInput === undefined ? null : parseBbox(bboxInput);
+      if (bboxInput !== undefined && !bbox) {
+        return res.status(400).json({
+          error: 'Invalid bounding box',
+          message: 'bbox must be west,south,east,north in degrees, with west < east and south < north'
+        });
+      }
+
+      const polygon = geometry === undefined ? null : parsePolygon(geometry);
+      if (geometry !== undefined && !polygon) {
+        return res.status(400).json({
+          error: 'Invalid geometry',
+          message: 'geometry must be a GeoJSON Polygon whose rings are closed arrays of at least three [lon, lat] positions'
+        });
+      }
+
+      const thresholds = thresholdsInput ?? product.contourLevels ?? [];
+      if (!isNumberList(thresholds, 0, MAX_STAT_THRESHOLDS)) {
+        return res.status(400).json({
+          error: 'Invalid thresholds',
+          message: `thresholds must be an array of at most ${MAX_STAT_THRESHOLDS} numbers`
+        });
+      }
+      if (!isNumberList(percentiles, 1, MAX_PERCENTILES) || !percentiles.every((value) => value >= 0 && value <= 100)) {
+        return res.status(400).json({
+          error: 'Invalid percentiles',
+          message: `percentiles must be an array of 1 to ${MAX_PERCENTILES} numbers from 0 to 100`
+        });
+      }
+      if (bins !== undefined && (!Number.isInteger(bins) || bins < 1 || bins > MAX_HISTOGRAM_BINS)) {
+        return res.status(400).json({
+          error: 'Invalid bins',
+          message: `bins must be a whole number from 1 to ${MAX_HISTOGRAM_BINS}`
+        });
+      }
+
+      const frame = await resolveFrame(req, res, productId, time);
+      if (!frame) return;
+      const { data } = frame;
+
+      const window = bbox ? findGridWindow(data._fullData, bbox) : null;
+      if (bbox && !window) {
+        return res.status(400).json({
+          error: 'Bounding box outside radar grid',
+          message: `${bboxInput} does not overlap the ${productId} grid`
+        });
+      }
+
+      const stats = await computeRegionStatsInWorker(data._fullData, {
+        window,
+        polygon,
+        range: product.range,
+        thresholds,
+        percentiles,
+        // Even bins of a product-sized width unless a count is asked for;
+        // categories are counted one by one
+        binWidth: bins === undefined ? undefined : (product.range.max - product.range.min) / bins,
+        categories: product.colorScale.type === 'categorical' ? product.colorScale : null
+      });
+
+      res.json({
+        product: productId,
+        units: product.units,
+        validTime: data.timestamp,
+        region: bbox ? { type: 'bbox', bbox: [bbox.west, bbox.south, bbox.east, bbox.north] } : { type: 'Polygon', coordinates: polygon },
+        ...stats
+      });
+    } catch (error) {
+      console.error('[ERROR] Error in /api/radar/stats:', error.message);
+      res.status(500).json({
+        error: 'Failed to compute statistics',
+        message: error.message
+      });
+    }
+  });
+
+  // API endpoint to find storm cells in the latest frame of a reflectivity
+  // product, with motion measured against a frame ~10 minutes earlier
+  app.get('/api/storms', async (req, res) => {
+    try {
+      const productId = req.query.product || 'rala';
+      console.log(`[API] GET /api/storms - Product: ${productId}`);
+
+      const product = products[productId];
+      if (!product) {
+        return res.status(404).json({
+          error: 'Unknown product',
+          message: `Unknown product: ${productId}`
+        });
+      }
+      if (!product.stormTracking) {
+        const supported = Object.keys(products).filter((id) => products[id].stormTracking);
+        return res.status(400).json({
+          error: 'Invalid product',
+          message: `Storm cells can be found in: ${supported.join(', ')}`
+        });
+      }
+
+      const threshold = req.query.threshold === undefined ? DEFAULT_STORM_THRESHOLD : parseFloat(req.query.threshold);
+      const minArea = req.query.minArea === undefined ? DEFAULT_MIN_CELL_AREA : parseFloat(req.query.minArea);
+      if (!Number.isFinite(threshold) || !(minArea >= 0)) {
+        return res.status(400).json({
+          error: 'Invalid parameters',
+          message: 'threshold (dBZ) and minArea (km²) must be numbers, minArea non-negative'
+        });
+      }
+
+      const data = await getLatestRadarData(productId);
+      const time = Date.parse(data.timestamp);
+
+      // Echo tops are a bonus; cells are still useful without them
+      const { echoTopsProduct } = product.stormTracking;
+      const echoTopsData = echoTopsProduct && products[echoTopsProduct]
+        ? await getLatestRadarData(echoTopsProduct).catch((error) => {
+          console.error(`[ERROR] Echo tops unavailable for storm cells: ${error.message}`);
+          return null;
+        })
+        : null;
+
+      const cells = await getStormCells(productId, data, {
+        threshold,
+        minArea,
+        echoTops: echoTopsData?._fullData || null
+      });
+
+      // Baseline: the archived frame closest to STORM_BASELINE_MINUTES earlier
+      const target = time - STORM_BASELINE_MINUTES * 60 * 1000;
+      const baselineTime = frameArchive.list(productId)
+        .map((frame) => Date.parse(frame.time))
+        .filter((frameTime) => frameTime < time)
+        .sort((a, b) => Math.abs(a - target) - Math.abs(b - target))[0];
+      const baselineData = baselineTime === undefined ? null : await frameArchive.get(productId, baselineTime);
+      const baselineCells = baselineData ? await getStormCells(productId, baselineData, { threshold, minArea }) : null;
+
+      const tracked = trackStormCells(cells, time, baselineCells, baselineTime);
+      console.log(`[SUCCESS] Found ${tracked.length} ${productId} storm cells, ${tracked.filter((cell) => cell.motion).length} tracked`);
+      res.json({
+        product: productId,
+        validTime: data.timestamp,
+        baselineTime: baselineData ? baselineData.timestamp : null,
+        echoTopsTime: echoTopsData ? echoTopsData.timestamp : null,
+        threshold,
+        minArea,
+        cells: tracked
+      });
+    } catch (error) {
+      console.error('[ERROR] Error in /api/storms:', error.message);
+      res.status(500).json({
+        error: 'Failed to find storm cells',
+        message: error.message
+      });
+    }
+  });
+
+  // API endpoints to manage the watch list
+  app.get('/api/watches', async (req, res) => {
+    try {
+      console.log('[API] GET /api/watches');
+      res.json({ watches: await watchList.list() });
+    } catch (error) {
+      console.error('[ERROR] Error in GET /api/watches:', error.message);
+      res.status(500).json({
+        error: 'Failed to list watches',
+        message: error.message
+      });
+    }
+  });
+
+  app.post('/api/watches', async (req, res) => {
+    try {
+      console.log('[API] POST /api/watches');
+      const { watch, error } = parseWatch(req.body, products);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid watch', message: error });
+      }
+
+      const created = await watchList.add(watch);
+      frameStream.schedule();
+      console.log(`[SUCCESS] Added watch ${created.id} (${created.name})`);
+      res.status(201).json({ watch: created });
+
+      // Evaluate right away rather than waiting for the next frame
+      getLatestRadarData(created.product)
+        .then((data) => checkWatches(created.product, data))
+        .catch((fetchError) => console.error('[ERROR] Failed to evaluate new watch:', fetchError.message));
+    } catch (error) {
+      console.error('[ERROR] Error in POST /api/watches:', error.message);
+      res.status(500).json({
+        error: 'Failed to add watch',
+        message: error.message
+      });
+    }
+  });
+
+  app.delete('/api/watches/:id', async (req, res) => {
+    try {
+      console.log(`[API] DELETE /api/watches/${req.params.id}`);
+      if (!(await watchList.remove(req.params.id))) {
+        return res.status(404).json({
+          error: 'Watch not found',
+          message: `No watch with id ${req.params.id}`
+        });
+      }
+      frameStream.schedule();
+      res.status(204).end();
+    } catch (error) {
+      console.error('[ERROR] Error in DELETE /api/watches:', error.message);
+      res.status(500).json({
+        error: 'Failed to delete watch',
+        message: error.message
+      });
+    }
+  });
+
+  // API endpoint to list alert events, newest first
+  app.get('/api/alerts', async (req, res) => {
+    try {
+      console.log('[API] GET /api/alerts');
+      const since = parseFrameTime(req.query.since);
+      const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+      if (Number.isNaN(since) || !(limit > 0)) {
+        return res.status(400).json({
+          error: 'Invalid parameters',
+          message: 'since must be an ISO 8601 timestamp and limit a positive integer'
+        });
+      }
+
+      res.json({
+        alerts: await watchList.listAlerts({ since, watchId: req.query.watch || null, limit })
+      });
+    } catch (error) {
+      console.error('[ERROR] Error in /api/alerts:', error.message);
+      res.status(500).json({
+        error: 'Failed to list alerts',
+        message: error.message
+      });
+    }
+  });
+
+  // API endpoint to get a 256px Web Mercator radar tile
+  app.get('/api/radar/tiles/:product/:z/:x/:y.png', async (req, res) => {
+    try {
+      const productId = req.params.product;
+      const z = Number(req.params.z);
+      const x = Number(req.params.x);
+      const y = Number(req.params.y);
+      const coverage = req.query.coverage || 'none';
+
+      if (!products[productId]) {
+        return res.status(404).json({
+          error: 'Unknown product',
+          message: `Unknown product: ${productId}`
+        });
+      }
+      if (
+        ![z, x, y].every(Number.isInteger) ||
+        z < 0 || z > MAX_TILE_ZOOM ||
+        x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z
+      ) {
+        return res.status(400).json({
+          error: 'Invalid tile address',
+          message: `Expected 0 <= z <= ${MAX_TILE_ZOOM} and 0 <= x, y < 2^z`
+        });
+      }
+      if (!COVERAGE_STYLES.includes(coverage)) {
+        return res.status(400).json({
+          error: 'Invalid coverage style',
+          message: `coverage must be one of: ${COVERAGE_STYLES.join(', ')}`
+        });
+      }
+      const frame = await resolveFrame(req, res, productId);
+      if (!frame) return;
+      const { data, archived } = frame;
+
+      const tileKey = `${productId}-${Date.parse(data.timestamp)}-${coverage}-${z}-${x}-${y}`;
+
+      // Archived frames never change; the latest one does every 2 minutes
+      const cacheControl = archived ? 'public, max-age=86400, immutable' : 'public, max-age=120';
+
+      // The tile only changes with the frame, so answer revalidations without rendering
+      res.set('ETag', `"${tileKey}"`);
+      if (req.fresh) {
+        res.set('Cache-Control', cacheControl);
+        return res.status(304).end();
+      }
+
+      const tile = await imageCache.get(tileKey, () => renderRadarTileInWorker(data._fullData, {
+        z,
+        x,
+        y,
+        coverage,
+        colorScale: products[productId].colorScale
+      }));
+
+      // Only a rendered tile may be cached
+      res.set('Cache-Control', cacheControl);
+      res.set('Content-Type', 'image/png');
+      res.set('X-Content-Type-Options', 'nosniff');
+      res.send(tile);
+    } catch (error) {
+      console.error('[ERROR] Error in /api/radar/tiles:', error.message);
+      res.removeHeader('ETag');
+      res.removeHeader('Cache-Control');
+      res.status(500).json({
+        error: 'Failed to generate radar tile',
+        message: error.message
+      });
+    }
+  });
+
+  // Health check endpoint (/api/health is the path reachable on Vercel)
+  app.get(['/health', '/api/health'], (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  });
+
+  // Catch-all route to serve the frontend
+  if (staticDir) {
+    app.get('/{*splat}', (req, res) => {
+      res.sendFile(join(staticDir, 'index.html'));
+    });
+  }
+
+  return app;
+}
+
+// Radar data as cached: the decoded grid plus its public metadata
+function describeRadarData(gribData) {
+  return {
+    // Store full data for image generation
+    _fullData: gribData,
+    timestamp: gribData.timestamp.toISOString(),
+    metadata: {
+      nx: gribData.nx,
+      ny: gribData.ny,
+      la1: gribData.la1,
+      lo1: gribData.lo1,
+      la2: gribData.la2,
+      lo2: gribData.lo2
+    },
+    parameter: describeParameter(gribData.product)
+  };
+}
+
+// True for an array of lengthMin..lengthMax finite numbers
+function isNumberList(value, lengthMin, lengthMax) {
+  return Array.isArray(value) && value.length >= lengthMin && value.length <= lengthMax && value.every(Number.isFinite);
+}
+
+// Parse the `time` query parameter addressing an archived frame.
+// Returns null when absent (use the latest frame) and NaN when invalid.
+function parseFrameTime(value) {
+  if (value === undefined) return null;
+  return typeof value === 'string' ? Date.parse(value) : NaN;
+}
+
+// Public view of the decoded Section 4 product identification
+function describeParameter(gribProduct) {
+  return {
+    discipline: gribProduct.discipline,
+    category: gribProduct.parameterCategory,
+    number: gribProduct.parameterNumber,
+    name: gribProduct.name,
+    units: gribProduct.units,
+    level: gribProduct.surface,
+    forecastOffsetSeconds: gribProduct.forecast?.offsetSeconds ?? null
+  };
+}
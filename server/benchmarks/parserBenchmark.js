@@ -0,0 +1,131 @@
+// Benchmark: GRIB2 simple-packing decode on a full-size CONUS grid
+// Compares parseMRMSGrib2 against the original bit-by-bit reader.
+// Usage: npm run bench [-- <nx> <ny>]
+
+import { performance } from 'perf_hooks';
+import { parseMRMSGrib2 } from '../mrmsParser.js';
+
+const nx = Number(process.argv[2]) || 7000;
+const ny = Number(process.argv[3]) || 3500;
+const RUNS = 3;
+
+function section(number, body) {
+  const header = Buffer.alloc(5);
+  header.writeUInt32BE(body.length + 5, 0);
+  header.writeUInt8(number, 4);
+  return Buffer.concat([header, body]);
+}
+
+// Build a single-field MRMS-like message with simple packing (template 5.0)
+function buildMessage(numberOfBits) {
+  const count = nx * ny;
+
+  const section1 = Buffer.alloc(16);
+  section1.writeUInt16BE(2024, 7);
+  section1.writeUInt8(5, 9);
+  section1.writeUInt8(1, 10);
+
+  const section3 = Buffer.alloc(67);
+  section3.writeUInt32BE(count, 1);
+  section3.writeUInt32BE(nx, 25);
+  section3.writeUInt32BE(ny, 29);
+  section3.writeInt32BE(54995000, 41);
+  section3.writeInt32BE(230005000, 45);
+  section3.writeInt32BE(20005000, 50);
+  section3.writeInt32BE(299995000, 54);
+  section3.writeUInt32BE(10000, 58);
+  section3.writeUInt32BE(10000, 62);
+
+  const section4 = Buffer.alloc(29);
+  section4.writeUInt8(3, 4);
+  section4.writeUInt8(53, 5);
+  section4.writeUInt8(255, 17);
+
+  const section5 = Buffer.alloc(16);
+  section5.writeUInt32BE(count, 0);
+  section5.writeFloatBE(-9990, 6);
+  section5.writeUInt16BE(1, 12);
+  section5.writeUInt8(numberOfBits, 14);
+
+  // Fill Section 7 with a repeating ramp of packed values
+  const data = Buffer.alloc(Math.ceil((count * numberOfBits) / 8));
+  let bitPos = 0;
+  for (let i = 0; i < count; i++) {
+    const value = (i * 37) % (1 << numberOfBits);
+    for (let b = numberOfBits - 1; b >= 0; b--, bitPos++) {
+      if ((value >> b) & 1) data[bitPos >> 3] |= 0x80 >> (bitPos & 7);
+    }
+  }
+
+  const body = Buffer.concat([
+    section(1, section1),
+    section(3, section3),
+    section(4, section4),
+    section(5, section5),
+    section(6, Buffer.from([255])),
+    section(7, data),
+    Buffer.from('7777')
+  ]);
+
+  const section0 = Buffer.alloc(16);
+  section0.write('GRIB', 0);
+  section0.writeUInt8(209, 6);
+  section0.writeUInt8(2, 7);
+  section0.writeBigUInt64BE(BigInt(body.length + 16), 8);
+
+  return { message: Buffer.concat([section0, body]), data };
+}
+
+// The original decoder: one readBits call per point, one bit per iteration
+function legacyDecode(dataBuffer, count, numberOfBits) {
+  const values = new Float32Array(count);
+  let bitPos = 0;
+
+  for (let i = 0; i < count; i++) {
+    let value = 0;
+    for (let b = 0; b < numberOfBits; b++) {
+      const byteIndex = Math.floor((bitPos + b) / 8);
+      const bitIndex = 7 - ((bitPos + b) % 8);
+      value = (value << 1) | ((dataBuffer[byteIndex] >> bitIndex) & 1);
+    }
+    bitPos += numberOfBits;
+    values[i] = (-9990 + value) * 0.1;
+  }
+
+  return values;
+}
+
+function time(fn) {
+  let best = Infinity;
+  let result;
+  for (let run = 0; run < RUNS; run++) {
+    const start = performance.now();
+    result = fn();
+    best = Math.min(best, performance.now() - start);
+  }
+  return { best, result };
+}
+
+console.log(`Decoding ${nx}x${ny} grid (${(nx * ny / 1e6).toFixed(1)}M points), best of ${RUNS} runs\n`);
+
+for (const numberOfBits of [8, 12, 16]) {
+  const { message, data } = buildMessage(numberOfBits);
+
+  const legacy = time(() => legacyDecode(data, nx * ny, numberOfBits));
+  const current = time(() => parseMRMSGrib2(message));
+
+  // Both decoders must agree before the timings mean anything
+  for (let i = 0; i < nx * ny; i += 9973) {
+    const expected = legacy.result[i];
+    const actual = current.result.values[i];
+    if (!(Number.isNaN(actual) || Math.abs(expected - actual) < 1e-3)) {
+      throw new Error(`Decoders disagree at point ${i}: ${expected} vs ${actual}`);
+    }
+  }
+
+  console.log(
+    `${String(numberOfBits).padStart(2)}-bit  legacy ${legacy.best.toFixed(0).padStart(6)} ms` +
+    `   current ${current.best.toFixed(0).padStart(6)} ms` +
+    `   speedup ${(legacy.best / current.best).toFixed(1)}x`
+  );
+}
@@ -0,0 +1,97 @@
+// Size-bounded LRU cache with in-flight load coalescing
+// Once the entries' total size passes maxBytes the least recently used are
+// evicted. With a `store` (see diskStore.js) entries are also written to disk
+// and read back on a memory miss, so they survive a restart.
+//
+// An entry is fresh for ttlMs after it was stored, or until expiresAt(value,
+// time) when given. Expired entries are handed to `load` so it can revalidate
+// them; returning the same value refreshes the entry without rewriting it.
+// `restored(key, value)` is told about every entry read back from the store,
+// fresh or expired, since those never pass through `load` as new values.
+
+export function createCache({ maxBytes, sizeOf, ttlMs = Infinity, expiresAt = null, store = null, restored = null }) {
+  const entries = new Map(); // key -> { value, size, time }, least recently used first
+  const pending = new Map(); // key -> load in progress
+  let totalBytes = 0;
+
+  const isFresh = (value, time) => Date.now() < (expiresAt ? expiresAt(value, time) : time + ttlMs);
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (entry) {
+      totalBytes -= entry.size;
+      entries.delete(key);
+    }
+  }
+
+  function insert(key, value, time) {
+    remove(key);
+    const size = sizeOf(value);
+    entries.set(key, { value, size, time });
+    totalBytes += size;
+
+    // Evict from the least recently used end, always keeping the new entry
+    for (const oldest of entries.keys()) {
+      if (totalBytes <= maxBytes || oldest === key) break;
+      remove(oldest);
+    }
+  }
+
+  function set(key, value) {
+    const time = Date.now();
+    insert(key, value, time);
+
+    if (store) {
+      store.write(key, value).catch((error) => {
+        console.error(`[ERROR] Failed to persist cache entry ${key}:`, error.message);
+      });
+    }
+  }
+
+  // The cached value for `key`, calling `load(expiredValue)` on a miss.
+  // Concurrent misses for the same key share one load.
+  function get(key, load) {
+    const entry = entries.get(key);
+    if (entry && isFresh(entry.value, entry.time)) {
+      entries.delete(key);
+      entries.set(key, entry);
+      return Promise.resolve(entry.value);
+    }
+
+    if (!pending.has(key)) {
+      pending.set(key, loadEntry(key, load, entry?.value).finally(() => pending.delete(key)));
+    }
+    return pending.get(key);
+  }
+
+  async function loadEntry(key, load, expired) {
+    if (store && expired === undefined) {
+      const stored = await store.read(key).catch((error) => {
+        console.error(`[ERROR] Failed to read cache entry ${key} from disk:`, error.message);
+        return null;
+      });
+      if (stored && restored) {
+        restored(key, stored.value);
+      }
+      if (stored && isFresh(stored.value, stored.time)) {
+        insert(key, stored.value, stored.time);
+        return stored.value;
+      }
+      expired = stored?.value;
+    }
+
+    const value = await load(expired);
+    if (value === expired) {
+      insert(key, value, Date.now());
+    } else {
+      set(key, value);
+    }
+    return value;
+  }
+
+  function stats() {
+    return { entries: entries.size, bytes: totalBytes, maxBytes };
+  }
+
+  return { get, set, stats };
+}
@@ -0,0 +1,194 @@
+// Colour tables for radar products
+// Products name one of COLOR_SCALES (or carry their own table, see
+// products.js); the same table drives the server-side rendering and the
+// legend the frontend builds from GET /api/products. Colours are RGBA.
+//
+// A 'stepped' scale paints every value from one stop up to the next in that
+// stop's colour. An 'interpolated' scale blends linearly between stops.
+// Values below the first stop are transparent either way. A 'categorical'
+// scale is for coded fields: each stop is one category, matched exactly, and
+// any other value is transparent.
+
+export const REFLECTIVITY_SCALE = {
+  type: 'stepped',
+  emptyLabel: 'No precipitation',
+  stops: [
+    { value: 5, color: [4, 233, 231, 180], label: 'Light precipitation' },
+    { value: 10, color: [1, 159, 244, 200], label: 'Light rain/snow' },
+    { value: 15, color: [3, 0, 244, 220], label: 'Light to moderate rain' },
+    { value: 20, color: [2, 253, 2, 230], label: 'Moderate rain' },
+    { value: 25, color: [1, 197, 1, 240], label: 'Moderate to heavy rain' },
+    { value: 30, color: [0, 142, 0, 250], label: 'Heavy rain' },
+    { value: 35, color: [253, 248, 2, 255], label: 'Heavy rain' },
+    { value: 40, color: [229, 188, 0, 255], label: 'Very heavy rain' },
+    { value: 45, color: [253, 139, 0, 255], label: 'Intense rain' },
+    { value: 50, color: [212, 0, 0, 255], label: 'Extreme rain/hail' },
+    { value: 55, color: [188, 0, 0, 255], label: 'Severe weather' },
+    { value: 60, color: [248, 0, 253, 255], label: 'Severe weather' },
+    { value: 65, color: [153, 85, 201, 255], label: 'Extreme severe weather' }
+  ]
+};
+
+export const PRECIP_RATE_SCALE = {
+  type: 'interpolated',
+  emptyLabel: 'No precipitation',
+  stops: [
+    { value: 0.1, color: [160, 230, 255, 150], label: 'Trace' },
+    { value: 1, color: [60, 160, 245, 200], label: 'Light' },
+    { value: 2.5, color: [30, 200, 60, 230], label: 'Light to moderate' },
+    { value: 5, color: [250, 235, 30, 255], label: 'Moderate' },
+    { value: 10, color: [250, 150, 0, 255], label: 'Heavy' },
+    { value: 25, color: [220, 20, 20, 255], label: 'Very heavy' },
+    { value: 50, color: [200, 0, 200, 255], label: 'Extreme' },
+    { value: 100, color: [255, 255, 255, 255], label: 'Extreme' }
+  ]
+};
+
+export const ECHO_TOP_SCALE = {
+  type: 'interpolated',
+  emptyLabel: 'No echo',
+  stops: [
+    { value: 1, color: [120, 120, 220, 160], label: 'Shallow' },
+    { value: 4, color: [40, 170, 240, 210], label: 'Low' },
+    { value: 7, color: [30, 200, 80, 240], label: 'Moderate' },
+    { value: 10, color: [245, 230, 30, 255], label: 'Tall' },
+    { value: 13, color: [245, 130, 0, 255], label: 'Very tall' },
+    { value: 16, color: [215, 0, 0, 255], label: 'Severe' },
+    { value: 20, color: [230, 0, 230, 255], label: 'Extreme' }
+  ]
+};
+
+// Maximum Estimated Size of Hail, mm; labels give the usual hail sizes
+export const MESH_SCALE = {
+  type: 'stepped',
+  emptyLabel: 'No hail',
+  stops: [
+    { value: 2.5, color: [120, 200, 255, 180], label: 'Small hail' },
+    { value: 6.35, color: [0, 200, 120, 220], label: 'Pea (0.25 in)' },
+    { value: 12.7, color: [250, 235, 30, 240], label: 'Marble (0.5 in)' },
+    { value: 19.05, color: [250, 170, 0, 255], label: 'Penny (0.75 in)' },
+    { value: 25.4, color: [240, 90, 0, 255], label: 'Quarter (1 in)' },
+    { value: 38.1, color: [215, 0, 0, 255], label: 'Ping pong ball (1.5 in)' },
+    { value: 50.8, color: [200, 0, 200, 255], label: 'Hen egg (2 in)' },
+    { value: 76.2, color: [130, 60, 220, 255], label: 'Baseball (3 in)' },
+    { value: 101.6, color: [255, 255, 255, 255], label: 'Softball (4 in)' }
+  ]
+};
+
+// Azimuthal shear swaths, in units of 0.001/s
+export const ROTATION_SCALE = {
+  type: 'stepped',
+  emptyLabel: 'No rotation',
+  stops: [
+    { value: 2, color: [170, 170, 170, 140], label: 'Weak shear' },
+    { value: 4, color: [100, 180, 255, 190], label: 'Weak rotation' },
+    { value: 6, color: [30, 200, 60, 220], label: 'Moderate rotation' },
+    { value: 8, color: [250, 235, 30, 240], label: 'Moderate rotation' },
+    { value: 10, color: [250, 150, 0, 255], label: 'Strong rotation' },
+    { value: 12, color: [220, 20, 20, 255], label: 'Strong rotation' },
+    { value: 15, color: [200, 0, 200, 255], label: 'Very strong rotation' },
+    { value: 20, color: [255, 255, 255, 255], label: 'Extreme rotation' }
+  ]
+};
+
+// Precipitation accumulation, mm; labels give the inch equivalents
+export const QPE_SCALE = {
+  type: 'interpolated',
+  emptyLabel: 'No precipitation',
+  stops: [
+    { value: 0.25, color: [160, 230, 255, 150], label: 'Trace (0.01 in)' },
+    { value: 2.5, color: [60, 160, 245, 200], label: '0.1 in' },
+    { value: 6.35, color: [30, 200, 60, 230], label: '0.25 in' },
+    { value: 12.7, color: [20, 140, 40, 240], label: '0.5 in' },
+    { value: 25.4, color: [250, 235, 30, 255], label: '1 in' },
+    { value: 50.8, color: [250, 150, 0, 255], label: '2 in' },
+    { value: 76.2, color: [220, 20, 20, 255], label: '3 in' },
+    { value: 101.6, color: [160, 0, 40, 255], label: '4 in' },
+    { value: 152.4, color: [200, 0, 200, 255], label: '6 in' },
+    { value: 254, color: [255, 255, 255, 255], label: '10 in' }
+  ]
+};
+
+// MRMS PrecipFlag codes; 0 is no precipitation
+export const PRECIP_FLAG_SCALE = {
+  type: 'categorical',
+  emptyLabel: 'No precipitation',
+  stops: [
+    { value: 1, color: [30, 200, 60, 220], label: 'Warm stratiform rain' },
+    { value: 3, color: [120, 190, 255, 230], label: 'Snow' },
+    { value: 6, color: [250, 150, 0, 255], label: 'Convective rain' },
+    { value: 7, color: [215, 0, 0, 255], label: 'Rain mixed with hail' },
+    { value: 10, color: [20, 140, 100, 220], label: 'Cold stratiform rain' },
+    { value: 91, color: [180, 230, 60, 230], label: 'Tropical/stratiform rain mix' },
+    { value: 96, color: [200, 0, 200, 255], label: 'Tropical/convective rain mix' }
+  ]
+};
+
+export const PROBABILITY_SCALE = {
+  type: 'stepped',
+  emptyLabel: 'Under 10%',
+  stops: [
+    { value: 10, color: [120, 200, 255, 150], label: 'Low' },
+    { value: 30, color: [30, 200, 60, 200], label: 'Slight' },
+    { value: 50, color: [250, 235, 30, 230], label: 'Moderate' },
+    { value: 70, color: [250, 150, 0, 250], label: 'High' },
+    { value: 90, color: [215, 0, 0, 255], label: 'Very high' }
+  ]
+};
+
+// Scales products can refer to by name
+export const COLOR_SCALES = {
+  reflectivity: REFLECTIVITY_SCALE,
+  precip_rate: PRECIP_RATE_SCALE,
+  echo_tops: ECHO_TOP_SCALE,
+  mesh: MESH_SCALE,
+  rotation: ROTATION_SCALE,
+  qpe: QPE_SCALE,
+  precip_flag: PRECIP_FLAG_SCALE,
+  probability: PROBABILITY_SCALE
+};
+
+export const COLOR_SCALE_TYPES = ['stepped', 'interpolated', 'categorical'];
+
+const TRANSPARENT = [0, 0, 0, 0];
+
+// Build a value -> RGBA function for a scale. Interpolated colours are
+// written into one scratch array, so copy the result before the next call.
+export function createColorMap({ type, stops }) {
+  const last = stops.length - 1;
+
+  if (type === 'stepped') {
+    return (value) => {
+      for (let s = last; s >= 0; s--) {
+        if (value >= stops[s].value) return stops[s].color;
+      }
+      return TRANSPARENT;
+    };
+  }
+
+  if (type === 'interpolated') {
+    const scratch = [0, 0, 0, 0];
+    return (value) => {
+      if (!(value >= stops[0].value)) return TRANSPARENT;
+      if (value >= stops[last].value) return stops[last].color;
+
+      let s = 0;
+      while (value >= stops[s + 1].value) s++;
+      const from = stops[s];
+      const to = stops[s + 1];
+      const t = (value - from.value) / (to.value - from.value);
+      for (let c = 0; c < 4; c++) {
+        scratch[c] = Math.round(from.color[c] + (to.color[c] - from.color[c]) * t);
+      }
+      return scratch;
+    };
+  }
+
+  if (type === 'categorical') {
+    const colors = new Map(stops.map((stop) => [stop.value, stop.color]));
+    // Codes are whole numbers; rounding absorbs packing error
+    return (value) => colors.get(Math.round(value)) || TRANSPARENT;
+  }
+
+  throw new Error(`Unknown colour scale type: ${type}`);
+}
@@ -0,0 +1,217 @@
+// Threshold polygons ("everything >= level") as GeoJSON (runs in the worker pool)
+// Marching squares over the cell centres of a grid window (see
+// findGridWindow in gridQuery.js), with crossings placed by linear
+// interpolation. Cells without a value count as below every level, and the
+// window is padded with such cells so every contour closes into a ring.
+//
+// Segments keep the region >= level on their left, so traced rings come out
+// counter-clockwise for areas and clockwise for holes, as RFC 7946 expects.
+
+import { pointInRing } from './gridQuery.js';
+
+export const MAX_CONTOUR_LEVELS = 10;
+
+export function traceContours(grid, { window, levels, tolerance, properties = {} }) {
+  const features = levels.map((level) => ({
+    type: 'Feature',
+    properties: { ...properties, level },
+    geometry: {
+      type: 'MultiPolygon',
+      coordinates: buildPolygons(traceRings(grid, window, level).map((ring) => simplifyRing(ring, tolerance)))
+    }
+  }));
+
+  return JSON.stringify({ type: 'FeatureCollection', features });
+}
+
+// Corners of a square clockwise on screen from the top-left, as [di, dj],
+// and the edge from each corner to the next (0 top, 1 right, 2 bottom, 3 left)
+const CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+function traceRings(grid, window, level) {
+  // Padded sample lattice: window cells sit at 1..nx, 1..ny
+  const width = window.nx + 2;
+  const height = window.ny + 2;
+
+  const sample = (pi, pj) => {
+    if (pi < 1 || pj < 1 || pi > window.nx || pj > window.ny) return NaN;
+    return grid.values[(window.j0 + pj - 1) * grid.nx + window.i0 + pi - 1];
+  };
+  const isInside = (value) => value >= level; // false for NaN
+
+  // Which lattice points are >= level, so most squares (and whole empty
+  // rows, which most of a radar grid is) are skipped cheaply
+  const mask = new Uint8Array(width * height);
+  const rowHasInside = new Uint8Array(height);
+  for (let j = 0; j < window.ny; j++) {
+    const row = (window.j0 + j) * grid.nx + window.i0;
+    const out = (j + 1) * width + 1;
+    for (let i = 0; i < window.nx; i++) {
+      if (grid.values[row + i] >= level) {
+        mask[out + i] = 1;
+        rowHasInside[j + 1] = 1;
+      }
+    }
+  }
+
+  // Horizontal edge (pi,pj)-(pi+1,pj) and vertical edge (pi,pj)-(pi,pj+1)
+  const edgeKey = (pi, pj, vertical) => (pj * width + pi) * 2 + (vertical ? 1 : 0);
+  const points = new Map(); // edge key -> [lon, lat] of its crossing
+  const next = new Map(); // edge key -> edge key the contour continues to
+
+  function crossing(pi, pj, edge, values) {
+    const [ai, aj] = CORNERS[edge];
+    const [bi, bj] = CORNERS[(edge + 1) % 4];
+    const a = values[edge];
+    const b = values[(edge + 1) % 4];
+    const vertical = ai === bi;
+    // Key edges by their top/left end so both squares sharing one agree
+    const key = edgeKey(pi + Math.min(ai, bi), pj + Math.min(aj, bj), vertical);
+
+    if (!points.has(key)) {
+      const t = Number.isFinite(a) && Number.isFinite(b) ? (level - a) / (b - a) : 0.5;
+      const i = pi + ai + (bi - ai) * t - 1;
+      const j = pj + aj + (bj - aj) * t - 1;
+      points.set(key, [window.lo1 + i * window.dx, window.la1 - j * window.dy]);
+    }
+    return key;
+  }
+
+  const values = new Array(4);
+  const inside = new Array(4);
+  for (let pj = 0; pj < height - 1; pj++) {
+    if (!rowHasInside[pj] && !rowHasInside[pj + 1]) continue;
+    for (let pi = 0; pi < width - 1; pi++) {
+      const k = pj * width + pi;
+      const count = mask[k] + mask[k + 1] + mask[k + width + 1] + mask[k + width];
+      if (count === 0 || count === 4) continue;
+
+      for (let corner = 0; corner < 4; corner++) {
+        const [di, dj] = CORNERS[corner];
+        values[corner] = sample(pi + di, pj + dj);
+        inside[corner] = mask[k + dj * width + di] === 1;
+      }
+
+      // Walking clockwise, the contour enters the square where an outside
+      // corner is followed by an inside one and leaves at the reverse
+      const entries = [];
+      const exits = [];
+      for (let edge = 0; edge < 4; edge++) {
+        const from = inside[edge];
+        const to = inside[(edge + 1) % 4];
+        if (!from && to) entries.push(edge);
+        if (from && !to) exits.push(edge);
+      }
+
+      // Saddles: join the two inside corners when the centre is inside too
+      let centreInside = false;
+      if (entries.length === 2) {
+        const finite = values.filter(Number.isFinite);
+        centreInside = finite.length === 4 && isInside(finite.reduce((sum, value) => sum + value, 0) / 4);
+      }
+
+      for (const entry of entries) {
+        const exit = centreInside
+          ? [3, 2, 1].map((step) => (entry + step) % 4).find((edge) => exits.includes(edge))
+          : [1, 2, 3].map((step) => (entry + step) % 4).find((edge) => exits.includes(edge));
+        next.set(crossing(pi, pj, entry, values), crossing(pi, pj, exit, values));
+      }
+    }
+  }
+
+  // Follow the links around each ring
+  const rings = [];
+  for (const start of next.keys()) {
+    if (!points.has(start)) continue;
+    const ring = [];
+    let key = start;
+    do {
+      ring.push(points.get(key));
+      points.delete(key);
+      key = next.get(key);
+    } while (key !== start && points.has(key));
+    ring.push(ring[0]);
+    rings.push(ring);
+  }
+  return rings;
+}
+
+// Douglas-Peucker, keeping the ring closed. A ring that would collapse (a
+// core of a cell or two at a tolerance of one cell) is kept as traced.
+function simplifyRing(ring, tolerance) {
+  if (!(tolerance > 0) || ring.length <= 4) return ring;
+
+  const keep = new Uint8Array(ring.length);
+  keep[0] = keep[ring.length - 1] = 1;
+  // Split at the point farthest from the start so the ring isn't collapsed
+  let far = 0;
+  let farDistance = -1;
+  for (let i = 1; i < ring.length - 1; i++) {
+    const distance = Math.hypot(ring[i][0] - ring[0][0], ring[i][1] - ring[0][1]);
+    if (distance > farDistance) {
+      far = i;
+      farDistance = distance;
+    }
+  }
+  keep[far] = 1;
+
+  const stack = [[0, far], [far, ring.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let index = -1;
+    let maxDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(ring[i], ring[first], ring[last]);
+      if (distance > maxDistance) {
+        index = i;
+        maxDistance = distance;
+      }
+    }
+    if (index !== -1) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  const simplified = ring.filter((point, index) => keep[index]);
+  return simplified.length < 4 || signedArea(simplified) === 0 ? ring : simplified;
+}
+
+function distanceToSegment([x, y], [x1, y1], [x2, y2]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+// Shoelace formula; positive for counter-clockwise rings
+function signedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+}
+
+const roundCoordinate = ([lon, lat]) => [Math.round(lon * 1e4) / 1e4, Math.round(lat * 1e4) / 1e4];
+
+// Group rings into polygons: each hole goes with the smallest area around it
+function buildPolygons(rings) {
+  const outers = [];
+  const holes = [];
+  for (const ring of rings) {
+    if (ring.length < 4) continue;
+    const area = signedArea(ring);
+    if (area > 0) outers.push({ ring, area, holes: [] });
+    else if (area < 0) holes.push(ring);
+  }
+  outers.sort((a, b) => a.area - b.area);
+
+  for (const hole of holes) {
+    const outer = outers.find((candidate) => pointInRing(hole[0], candidate.ring));
+    if (outer) outer.holes.push(hole);
+  }
+
+  return outers.map(({ ring, holes: inner }) => [ring, ...inner].map((points) => points.map(roundCoordinate)));
+}
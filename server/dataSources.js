@@ -0,0 +1,147 @@
+// Where radar files come from
+// Products name an MRMS dataset and, optionally, a path pattern relative to
+// the data root; a data source turns that into bytes. Sources:
+//   noaa   - the public NOAA MRMS server (default)
+//   mirror - any HTTP server or bucket laid out like NOAA's, at RADAR_SOURCE_URL
+//   local  - a directory of .grib2 / .grib2.gz files at RADAR_DATA_DIR, for
+//            offline development, tests and demos
+
+import { readFile, readdir, stat } from 'fs/promises';
+import { join, dirname, resolve } from 'path';
+
+export const DATA_SOURCE_TYPES = ['noaa', 'mirror', 'local'];
+export const NOAA_BASE_URL = 'https://mrms.ncep.noaa.gov/data';
+
+// NOAA's layout: one directory per dataset, with a rolling "latest" file
+export const DEFAULT_PATH_PATTERN = '2D/{dataset}/MRMS_{dataset}.latest.grib2.gz';
+
+// Expand a product's path pattern, e.g. 2D/EchoTop_18/MRMS_EchoTop_18.latest.grib2.gz
+export function resolveProductPath(product) {
+  return (product.path || DEFAULT_PATH_PATTERN).replaceAll('{dataset}', product.dataset);
+}
+
+// Read the data source settings from environment variables
+export function dataSourceFromEnv(env) {
+  const type = env.RADAR_SOURCE || 'noaa';
+
+  if (type === 'noaa') {
+    return { type, baseUrl: NOAA_BASE_URL };
+  }
+  if (type === 'mirror') {
+    if (!env.RADAR_SOURCE_URL) {
+      throw new Error('RADAR_SOURCE=mirror requires RADAR_SOURCE_URL');
+    }
+    return { type, baseUrl: env.RADAR_SOURCE_URL.replace(/\/+$/, '') };
+  }
+  if (type === 'local') {
+    if (!env.RADAR_DATA_DIR) {
+      throw new Error('RADAR_SOURCE=local requires RADAR_DATA_DIR');
+    }
+    return { type, directory: resolve(env.RADAR_DATA_DIR) };
+  }
+
+  throw new Error(`Unknown RADAR_SOURCE "${type}", expected one of: ${DATA_SOURCE_TYPES.join(', ')}`);
+}
+
+// Create a source from settings produced by dataSourceFromEnv. Any object
+// with the same fetchLatest method can stand in for a source (see createApp).
+//
+// fetchLatest(product, validators) resolves to { bytes, validators } with the
+// product's newest file as stored (gzipped or not), or to { notModified: true }
+// when `validators` from an earlier fetch show the file hasn't changed since.
+export function createDataSource(config) {
+  if (config.type === 'local') {
+    return {
+      description: `local (${config.directory})`,
+      fetchLatest: (product, validators) => readLatestFile(config.directory, product, validators)
+    };
+  }
+  return {
+    description: `${config.type} (${config.baseUrl})`,
+    fetchLatest: (product, validators) => downloadLatestFile(config.baseUrl, product, validators)
+  };
+}
+
+// Conditional GET: NOAA's "latest" files keep their URL, so the ETag and
+// Last-Modified headers are what tell a new frame from the one we have
+async function downloadLatestFile(baseUrl, product, validators = {}) {
+  const url = `${baseUrl}/${resolveProductPath(product)}`;
+  const headers = {};
+  if (validators.etag) headers['If-None-Match'] = validators.etag;
+  if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+  console.log(`[${new Date().toISOString()}] Fetching MRMS ${product.name} from:`, url);
+  const response = await fetch(url, { headers });
+
+  if (response.status === 304) {
+    return { notModified: true };
+  }
+  if (!response.ok) {
+    const errorMsg = `Failed to fetch MRMS data: ${response.status} ${response.statusText}`;
+    console.error(`[ERROR] ${errorMsg}`);
+    throw new Error(errorMsg);
+  }
+
+  return {
+    bytes: new Uint8Array(await response.arrayBuffer()),
+    validators: {
+      etag: response.headers.get('etag') || undefined,
+      lastModified: response.headers.get('last-modified') || undefined
+    }
+  };
+}
+
+// The local equivalent of a conditional GET: the file's path and mtime
+async function readLatestFile(directory, product, validators = {}) {
+  const file = await findLatestFile(directory, product);
+  const info = await stat(file);
+  const etag = `${file}@${info.mtimeMs}`;
+
+  if (validators.etag === etag) {
+    return { notModified: true };
+  }
+
+  const bytes = await readFile(file);
+  console.log(`[${new Date().toISOString()}] Read MRMS ${product.name} from:`, file);
+  return { bytes, validators: { etag } };
+}
+
+// The pattern's file if present (with or without .gz); otherwise the newest
+// file for the dataset in its directory or the data root. Timestamped MRMS
+// names (MRMS_<dataset>_00.50_YYYYMMDD-HHMMSS.grib2.gz) sort chronologically.
+async function findLatestFile(directory, product) {
+  const relativePath = resolveProductPath(product);
+  const candidates = [relativePath, relativePath.replace(/\.gz$/, '')];
+
+  for (const candidate of candidates) {
+    const file = join(directory, candidate);
+    try {
+      await stat(file);
+      return file;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  const prefix = `MRMS_${product.dataset}`;
+  for (const folder of [join(directory, dirname(relativePath)), directory]) {
+    let names;
+    try {
+      names = await readdir(folder);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      continue;
+    }
+
+    const newest = names
+      .filter((name) => name.startsWith(prefix) && /^[._]/.test(name.slice(prefix.length)))
+      .filter((name) => /\.grib2(\.gz)?$/.test(name))
+      .sort()
+      .pop();
+    if (newest) {
+      return join(folder, newest);
+    }
+  }
+
+  throw new Error(`No ${product.dataset} file found in ${directory}`);
+}
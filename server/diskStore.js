@@ -0,0 +1,108 @@
+// Disk persistence for cache entries (see cache.js)
+// One file per key; an entry's age is its file's modification time. Files
+// are written to a temporary name and renamed so a crash never leaves a
+// half-written entry behind.
+
+import { mkdir, readFile, writeFile, rename, readdir, stat, unlink } from 'fs/promises';
+import { join } from 'path';
+
+function createStore(directory, { extension, serialize, deserialize }) {
+  const ready = mkdir(directory, { recursive: true });
+  const pathFor = (key) => join(directory, `${key.replace(/[^\w.-]/g, '_')}${extension}`);
+
+  async function read(key) {
+    const file = pathFor(key);
+    try {
+      const [contents, info] = await Promise.all([readFile(file), stat(file)]);
+      return { value: deserialize(contents), time: info.mtimeMs };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function write(key, value) {
+    await ready;
+    const file = pathFor(key);
+    const temporary = `${file}.${process.pid}.tmp`;
+    await writeFile(temporary, serialize(value));
+    await rename(temporary, file);
+  }
+
+  // Delete entries older than maxAgeMs
+  async function sweep(maxAgeMs) {
+    await ready;
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+
+    for (const name of await readdir(directory)) {
+      const file = join(directory, name);
+      const info = await stat(file).catch(() => null);
+      if (info && info.mtimeMs < cutoff) {
+        await unlink(file).catch(() => {});
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return { read, write, sweep };
+}
+
+// Raw buffers such as rendered PNGs; `extension` names what they hold
+export function createBufferStore(directory, { extension = '.png' } = {}) {
+  return createStore(directory, {
+    extension,
+    serialize: (buffer) => buffer,
+    deserialize: (contents) => contents
+  });
+}
+
+// Radar data as cached by the app ({ _fullData, _source, timestamp, ... }).
+// Layout: header length (uint32), JSON header, grid values, quality mask,
+// GRIB2 source file. The arrays are read back into SharedArrayBuffers like a
+// fresh parse; the source lets a restored frame be archived again.
+export function createRadarDataStore(directory) {
+  return createStore(directory, {
+    extension: '.grid',
+    serialize: (radarData) => {
+      const { _fullData: grid, _source: source, ...rest } = radarData;
+      const { values, quality, ...gridFields } = grid;
+      const sourceLength = source?.byteLength ?? 0;
+      const header = Buffer.from(JSON.stringify({ ...rest, grid: gridFields, length: values.length, sourceLength }));
+      const headerLength = Buffer.alloc(4);
+      headerLength.writeUInt32LE(header.length, 0);
+
+      return Buffer.concat([
+        headerLength,
+        header,
+        Buffer.from(values.buffer, values.byteOffset, values.byteLength),
+        Buffer.from(quality.buffer, quality.byteOffset, quality.byteLength),
+        ...(source ? [Buffer.from(source.buffer, source.byteOffset, source.byteLength)] : [])
+      ]);
+    },
+    deserialize: (contents) => {
+      const headerLength = contents.readUInt32LE(0);
+      const { grid: gridFields, length: count, sourceLength = 0, ...rest } = JSON.parse(contents.toString('utf8', 4, 4 + headerLength));
+      const valuesStart = 4 + headerLength;
+      const qualityStart = valuesStart + count * Float32Array.BYTES_PER_ELEMENT;
+      const sourceStart = qualityStart + count;
+
+      if (contents.length !== sourceStart + sourceLength) {
+        throw new Error('Cached grid file is truncated');
+      }
+
+      const values = new Float32Array(new SharedArrayBuffer(count * Float32Array.BYTES_PER_ELEMENT));
+      new Uint8Array(values.buffer).set(contents.subarray(valuesStart, qualityStart));
+      const quality = new Uint8Array(new SharedArrayBuffer(count));
+      quality.set(contents.subarray(qualityStart, sourceStart));
+
+      return {
+        ...rest,
+        _fullData: { ...gridFields, timestamp: new Date(gridFields.timestamp), values, quality },
+        // Files written before sources were stored have none
+        _source: sourceLength > 0 ? Buffer.from(contents.subarray(sourceStart)) : null
+      };
+    }
+  });
+}
@@ -0,0 +1,106 @@
+// Archive of recent radar frames per product, keyed by GRIB valid time
+// A decoded CONUS grid is ~120 MB, so each frame keeps only its source file
+// (1-2 MB gzipped) and the few most recently used frames are held decoded.
+// The source files of all products together are kept within maxBytes by
+// dropping the oldest frames first, whatever their product.
+
+export function createFrameArchive({ maxFrames, maxAgeMs, maxBytes = Infinity, decodedLimit = 2, decode }) {
+  const products = new Map(); // productId -> frames, oldest first
+  const decoded = new Map(); // frame key -> radar data, least recently used first
+  const pending = new Map(); // frame key -> decode in progress
+  let totalBytes = 0; // source files of every archived frame
+
+  const frameKey = (productId, time) => `${productId}-${time}`;
+
+  function remember(key, data) {
+    decoded.delete(key);
+    decoded.set(key, data);
+    while (decoded.size > decodedLimit) {
+      decoded.delete(decoded.keys().next().value);
+    }
+  }
+
+  function dropOldest(productId, frames) {
+    const { time, source } = frames.shift();
+    totalBytes -= source.byteLength;
+    decoded.delete(frameKey(productId, time));
+  }
+
+  // Drop frames beyond the frame limit or older than the retention window
+  function prune(productId, frames) {
+    const newest = frames[frames.length - 1].time;
+    while (frames.length > maxFrames || newest - frames[0].time > maxAgeMs) {
+      dropOldest(productId, frames);
+    }
+  }
+
+  // Drop the oldest frames across products until the sources fit in
+  // maxBytes. Each product keeps its newest frame, so the loop never loses
+  // the frame it ends on.
+  function pruneBytes() {
+    while (totalBytes > maxBytes) {
+      let oldest = null;
+      for (const [productId, frames] of products) {
+        if (frames.length > 1 && (!oldest || frames[0].time < oldest.frames[0].time)) {
+          oldest = { productId, frames };
+        }
+      }
+      if (!oldest) return;
+      dropOldest(oldest.productId, oldest.frames);
+    }
+  }
+
+  // Record a freshly fetched frame; `source` is the GRIB2 file as fetched
+  function add(productId, data, source) {
+    const time = Date.parse(data.timestamp);
+    let frames = products.get(productId);
+    if (!frames) {
+      frames = [];
+      products.set(productId, frames);
+    }
+
+    // The same file is often fetched twice within one MRMS update cycle
+    if (!frames.some((frame) => frame.time === time)) {
+      frames.push({ time, source, fetchedAt: Date.now() });
+      frames.sort((a, b) => a.time - b.time);
+      totalBytes += source.byteLength;
+    }
+
+    remember(frameKey(productId, time), data);
+    prune(productId, frames);
+    pruneBytes();
+  }
+
+  function list(productId) {
+    return (products.get(productId) || []).map(({ time, fetchedAt }) => ({
+      time: new Date(time).toISOString(),
+      fetchedAt: new Date(fetchedAt).toISOString()
+    }));
+  }
+
+  // Radar data for the frame valid at `time` (ms), or null if not archived
+  async function get(productId, time) {
+    const frame = (products.get(productId) || []).find((candidate) => candidate.time === time);
+    if (!frame) return null;
+
+    const key = frameKey(productId, time);
+    if (decoded.has(key)) {
+      const data = decoded.get(key);
+      remember(key, data);
+      return data;
+    }
+
+    // Tile requests for a frame arrive together; decode it once
+    if (!pending.has(key)) {
+      pending.set(key, decode(productId, frame.source)
+        .then((data) => {
+          remember(key, data);
+          return data;
+        })
+        .finally(() => pending.delete(key)));
+    }
+    return pending.get(key);
+  }
+
+  return { add, list, get };
+}
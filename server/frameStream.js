@@ -0,0 +1,134 @@
+// Server-Sent Events announcing new radar frames
+// Clients connect to GET /api/radar/stream (optionally ?product=a,b, default
+// defaultProduct only) and receive a `frame` event with { product, validTime } as
+// soon as a newer frame of one of their products is fetched, plus any events
+// broadcast to everyone (e.g. `alert`). While anyone is connected, or
+// backgroundProducts() names products to keep checking (watches), a scheduler
+// polls those products, and only those, so new frames are picked up without waiting for a
+// request; it stops again when there is nothing left to poll.
+
+export function createFrameStream({
+  productIds,
+  defaultProduct = productIds[0],
+  pollMs,
+  heartbeatMs = 25 * 1000,
+  poll,
+  backgroundProducts = () => []
+}) {
+  const clients = new Set(); // { res, products }
+  let pollTimer = null;
+  let heartbeatTimer = null;
+  let polling = false;
+
+  function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // The compression middleware buffers output until flushed
+    res.flush?.();
+  }
+
+  // Called whenever a frame newer than the cached one is fetched
+  function announce(product, validTime) {
+    for (const client of clients) {
+      if (client.products.has(product)) {
+        send(client.res, 'frame', { product, validTime });
+      }
+    }
+  }
+
+  // Send an event to every client, whatever products they asked for
+  function broadcast(event, data) {
+    for (const client of clients) {
+      send(client.res, event, data);
+    }
+  }
+
+  const polledProducts = () => new Set([
+    ...[...clients].flatMap((client) => [...client.products]),
+    ...backgroundProducts()
+  ]);
+
+  // Check every product someone is streaming or watching; the data cache
+  // decides whether that actually reaches the source, so polling often is cheap
+  async function pollProducts() {
+    if (polling) return;
+    polling = true;
+    const watched = polledProducts();
+    try {
+      for (const productId of watched) {
+        await poll(productId).catch((error) => {
+          console.error(`[ERROR] Scheduled check of ${productId} failed:`, error.message);
+        });
+      }
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    console.log(`[INFO] Frame scheduler started (every ${pollMs / 1000}s)`);
+    // Background polling alone shouldn't keep the process alive
+    pollTimer = setInterval(pollProducts, pollMs).unref();
+    heartbeatTimer = setInterval(() => {
+      // Comment lines keep proxies from closing idle connections
+      for (const client of clients) {
+        client.res.write(': ping\n\n');
+        client.res.flush?.();
+      }
+    }, heartbeatMs).unref();
+  }
+
+  function stop() {
+    console.log('[INFO] Frame scheduler stopped, nothing left to poll');
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    pollTimer = heartbeatTimer = null;
+  }
+
+  // Start or stop the scheduler to match what there is to poll; call after
+  // backgroundProducts() changes
+  function schedule() {
+    const needed = polledProducts().size > 0;
+    if (needed && !pollTimer) start();
+    if (!needed && pollTimer) stop();
+  }
+
+  // Express handler for GET /api/radar/stream
+  function connect(req, res) {
+    // Every product would mean polling every full grid, so it has to be asked for
+    const requested = req.query.product ? [...new Set(String(req.query.product).split(','))] : [defaultProduct];
+    const unknown = requested.filter((productId) => !productIds.includes(productId));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid product',
+        message: `Unknown product(s): ${unknown.join(', ')}`
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { res, products: new Set(requested) };
+    clients.add(client);
+    console.log(`[STREAM] Client connected for ${requested.join(', ')} (${clients.size} connected)`);
+
+    // Ask the browser to wait a little before reconnecting after a drop
+    res.write('retry: 5000\n\n');
+    send(res, 'ready', { products: requested });
+
+    schedule();
+    pollProducts();
+
+    req.on('close', () => {
+      clients.delete(client);
+      console.log(`[STREAM] Client disconnected (${clients.size} connected)`);
+      schedule();
+    });
+  }
+
+  return { announce, broadcast, connect, schedule };
+}
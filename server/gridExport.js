@@ -0,0 +1,177 @@
+// Raw grid exports for GIS and analysis tools (runs in the worker pool)
+//   geotiff - single-band Float32 GeoTIFF in EPSG:4326, deflate-compressed,
+//             missing cells written as NODATA_VALUE
+//   bin     - uint32 header length, JSON header (padded to 4 bytes), Float32
+//             values with NaN where there is no value, then the Uint8 quality
+//             codes; both row-major from the north-west corner, little-endian
+// `window` is a block of the grid from findGridWindow (gridQuery.js).
+
+import { deflateSync } from 'zlib';
+
+export const EXPORT_FORMATS = ['geotiff', 'bin'];
+export const NODATA_VALUE = -9999;
+
+const ROWS_PER_STRIP = 16;
+
+export function exportGrid(grid, { format, window, header }) {
+  if (format === 'geotiff') {
+    return encodeGeoTiff(grid, window);
+  }
+  if (format === 'bin') {
+    return encodeGridBinary(grid, window, header);
+  }
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+// Copy the window's rows out of the full grid
+function cropValues(grid, window) {
+  const values = new Float32Array(window.nx * window.ny);
+  for (let row = 0; row < window.ny; row++) {
+    const start = (window.j0 + row) * grid.nx + window.i0;
+    values.set(grid.values.subarray(start, start + window.nx), row * window.nx);
+  }
+  return values;
+}
+
+function cropQuality(grid, window) {
+  const quality = new Uint8Array(window.nx * window.ny);
+  for (let row = 0; row < window.ny; row++) {
+    const start = (window.j0 + row) * grid.nx + window.i0;
+    quality.set(grid.quality.subarray(start, start + window.nx), row * window.nx);
+  }
+  return quality;
+}
+
+function encodeGridBinary(grid, window, header) {
+  const values = cropValues(grid, window);
+  const quality = cropQuality(grid, window);
+
+  let json = JSON.stringify({
+    ...header,
+    width: window.nx,
+    height: window.ny,
+    // Centre of the first (north-west) cell and the cell size, in degrees
+    la1: window.la1,
+    lo1: window.lo1,
+    dx: window.dx,
+    dy: window.dy,
+    dtype: 'float32',
+    byteOrder: 'little',
+    nodata: 'NaN'
+  });
+  // Pad so the values start 4-byte aligned and can be viewed in place
+  json += ' '.repeat((4 - (json.length % 4)) % 4);
+  const headerBytes = Buffer.from(json);
+
+  const output = new Uint8Array(4 + headerBytes.length + values.byteLength + quality.byteLength);
+  new DataView(output.buffer).setUint32(0, headerBytes.length, true);
+  output.set(headerBytes, 4);
+  output.set(new Uint8Array(values.buffer), 4 + headerBytes.length);
+  output.set(quality, 4 + headerBytes.length + values.byteLength);
+  return output;
+}
+
+// TIFF field types: [code, bytes per value]
+const TIFF_TYPES = {
+  ASCII: [2, 1],
+  SHORT: [3, 2],
+  LONG: [4, 4],
+  DOUBLE: [12, 8]
+};
+
+function encodeGeoTiff(grid, window) {
+  const { nx: width, ny: height } = window;
+  const values = cropValues(grid, window);
+  for (let i = 0; i < values.length; i++) {
+    if (Number.isNaN(values[i])) values[i] = NODATA_VALUE;
+  }
+
+  // Deflate in strips so readers can decode part of the file
+  const bytes = new Uint8Array(values.buffer);
+  const stripBytes = ROWS_PER_STRIP * width * Float32Array.BYTES_PER_ELEMENT;
+  const strips = [];
+  for (let offset = 0; offset < bytes.length; offset += stripBytes) {
+    strips.push(deflateSync(bytes.subarray(offset, offset + stripBytes)));
+  }
+
+  // Pixel-is-area: the tie point is the north-west corner of the first cell
+  const geoKeys = [
+    1, 1, 0, 3, // GeoKeyDirectory version 1.1.0, 3 keys
+    1024, 0, 1, 2, // GTModelTypeGeoKey = ModelTypeGeographic
+    1025, 0, 1, 1, // GTRasterTypeGeoKey = RasterPixelIsArea
+    2048, 0, 1, 4326 // GeographicTypeGeoKey = WGS 84
+  ];
+
+  return writeTiff(strips, [
+    [256, 'LONG', [width]], // ImageWidth
+    [257, 'LONG', [height]], // ImageLength
+    [258, 'SHORT', [32]], // BitsPerSample
+    [259, 'SHORT', [8]], // Compression = Deflate
+    [262, 'SHORT', [1]], // PhotometricInterpretation = BlackIsZero
+    [273, 'LONG', null], // StripOffsets, filled in by writeTiff
+    [277, 'SHORT', [1]], // SamplesPerPixel
+    [278, 'LONG', [ROWS_PER_STRIP]], // RowsPerStrip
+    [279, 'LONG', strips.map((strip) => strip.length)], // StripByteCounts
+    [284, 'SHORT', [1]], // PlanarConfiguration = contiguous
+    [339, 'SHORT', [3]], // SampleFormat = IEEE floating point
+    [33550, 'DOUBLE', [window.dx, window.dy, 0]], // ModelPixelScale
+    [33922, 'DOUBLE', [0, 0, 0, window.lo1 - window.dx / 2, window.la1 + window.dy / 2, 0]], // ModelTiepoint
+    [34735, 'SHORT', geoKeys], // GeoKeyDirectory
+    [42113, 'ASCII', `${NODATA_VALUE}\0`] // GDAL_NODATA
+  ]);
+}
+
+// Little-endian TIFF: header, one IFD, out-of-line tag values, then strips
+function writeTiff(strips, tags) {
+  const stripCount = strips.length;
+  const ifdSize = 2 + tags.length * 12 + 4;
+  const valueSize = (type, values) => TIFF_TYPES[type][1] * (type === 'ASCII' ? values.length : values?.length ?? stripCount);
+
+  // Lay out tag values that don't fit in the 4-byte entry field
+  let dataOffset = 8 + ifdSize;
+  const layout = tags.map(([tag, type, values]) => {
+    const size = valueSize(type, values);
+    if (size <= 4) return { tag, type, values, size, offset: null };
+    const entry = { tag, type, values, size, offset: dataOffset };
+    dataOffset += size + (size % 2); // keep word alignment
+    return entry;
+  });
+
+  const stripOffsets = [];
+  let stripOffset = dataOffset;
+  for (const strip of strips) {
+    stripOffsets.push(stripOffset);
+    stripOffset += strip.length;
+  }
+
+  const output = new Uint8Array(stripOffset);
+  const view = new DataView(output.buffer);
+  output.set([0x49, 0x49]); // "II", little-endian
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+
+  view.setUint16(8, tags.length, true);
+  layout.forEach((entry, index) => {
+    const values = entry.values ?? stripOffsets;
+    const [code] = TIFF_TYPES[entry.type];
+    const position = 10 + index * 12;
+    view.setUint16(position, entry.tag, true);
+    view.setUint16(position + 2, code, true);
+    view.setUint32(position + 4, values.length, true);
+    writeValues(view, entry.offset ?? position + 8, entry.type, values);
+    if (entry.offset !== null) view.setUint32(position + 8, entry.offset, true);
+  });
+  view.setUint32(10 + tags.length * 12, 0, true); // no further IFDs
+
+  strips.forEach((strip, index) => output.set(strip, stripOffsets[index]));
+  return output;
+}
+
+function writeValues(view, offset, type, values) {
+  for (let i = 0; i < values.length; i++) {
+    if (type === 'ASCII') view.setUint8(offset + i, values.charCodeAt(i));
+    else if (type === 'SHORT') view.setUint16(offset + i * 2, values[i], true);
+    else if (type === 'LONG') view.setUint32(offset + i * 4, values[i], true);
+    else view.setFloat64(offset + i * 8, values[i], true);
+  }
+}
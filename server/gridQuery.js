@@ -0,0 +1,147 @@
+// Lookups against a decoded MRMS grid
+// Grids are equirectangular, rows running north to south from (la1, lo1).
+
+import { QUALITY } from './mrmsParser.js';
+
+// Names for the parser's per-pixel quality codes, as exposed by the API
+export const QUALITY_NAMES = {
+  [QUALITY.VALID]: 'valid',
+  [QUALITY.MISSING]: 'missing',
+  [QUALITY.NO_COVERAGE]: 'no_coverage',
+  [QUALITY.MASKED]: 'masked'
+};
+
+// Convert longitude from 0-360 range to -180 to 180 range
+export const toSignedLongitude = (lon) => {
+  const wrapped = ((lon % 360) + 360) % 360;
+  return wrapped > 180 ? wrapped - 360 : wrapped;
+};
+
+// GRIB2 stores coordinates in micro-degrees
+const roundCoordinate = (value) => Math.round(value * 1e6) / 1e6;
+
+// Nearest grid cell to a point, or null when the point is off the grid.
+// Longitude may be given in either -180..180 or 0..360.
+export function findNearestCell(grid, lat, lon) {
+  const { nx, ny, la1, lo1, dx, dy } = grid;
+  const west = ((lo1 % 360) + 360) % 360;
+
+  const i = Math.round(((((lon - west) % 360) + 360) % 360) / dx);
+  const j = Math.round((la1 - lat) / dy);
+
+  if (i >= nx || j < 0 || j >= ny) {
+    return null;
+  }
+
+  return {
+    i,
+    j,
+    index: j * nx + i,
+    lat: roundCoordinate(la1 - j * dy),
+    lon: roundCoordinate(toSignedLongitude(west + i * dx))
+  };
+}
+
+// Parse a `west,south,east,north` bounding box (degrees, longitudes in
+// -180..180), or null if invalid
+export function parseBbox(value) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+
+  const [west, south, east, north] = parts;
+  if (west >= east || south >= north) return null;
+  return { west, south, east, north };
+}
+
+// The block of cells whose centres fall inside `bbox` (whole grid when bbox
+// is null), or null when they don't overlap. i0/j0 index the first cell,
+// la1/lo1 give its centre with longitude in -180..180.
+export function findGridWindow(grid, bbox) {
+  const { nx, ny, la1, lo1, dx, dy } = grid;
+  const west = toSignedLongitude(lo1);
+  if (!bbox) {
+    return { i0: 0, j0: 0, nx, ny, la1, lo1: west, dx, dy };
+  }
+
+  const i0 = Math.max(0, Math.ceil((bbox.west - west) / dx - 1e-9));
+  const i1 = Math.min(nx - 1, Math.floor((bbox.east - west) / dx + 1e-9));
+  const j0 = Math.max(0, Math.ceil((la1 - bbox.north) / dy - 1e-9));
+  const j1 = Math.min(ny - 1, Math.floor((la1 - bbox.south) / dy + 1e-9));
+
+  if (i0 > i1 || j0 > j1) {
+    return null;
+  }
+
+  return {
+    i0,
+    j0,
+    nx: i1 - i0 + 1,
+    ny: j1 - j0 + 1,
+    la1: roundCoordinate(la1 - j0 * dy),
+    lo1: roundCoordinate(west + i0 * dx),
+    dx,
+    dy
+  };
+}
+
+// Ray-casting test of a [lon, lat] point against a closed ring of positions
+export function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 2; i < ring.length - 1; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Call visit(index, lat, lon) for each cell whose centre lies inside a
+// GeoJSON Polygon's coordinates (outer ring minus any holes)
+export function forEachCellInPolygon(grid, [outer, ...holes], visit) {
+  const lons = outer.map(([lon]) => lon);
+  const lats = outer.map(([, lat]) => lat);
+  const window = findGridWindow(grid, {
+    west: Math.min(...lons),
+    south: Math.min(...lats),
+    east: Math.max(...lons),
+    north: Math.max(...lats)
+  });
+  if (!window) return;
+
+  for (let row = 0; row < window.ny; row++) {
+    const lat = window.la1 - row * window.dy;
+    for (let column = 0; column < window.nx; column++) {
+      const point = [window.lo1 + column * window.dx, lat];
+      if (pointInRing(point, outer) && !holes.some((hole) => pointInRing(point, hole))) {
+        visit((window.j0 + row) * grid.nx + window.i0 + column, lat, point[0]);
+      }
+    }
+  }
+}
+
+// Normalise a GeoJSON Polygon (or a Feature holding one) to closed rings of
+// [lon, lat] positions. Returns null unless every ring is valid.
+export function parsePolygon(geometry) {
+  if (geometry?.type === 'Feature') return parsePolygon(geometry.geometry);
+  if (geometry?.type !== 'Polygon' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return null;
+  }
+
+  const isPosition = (position) => Array.isArray(position)
+    && Number.isFinite(position[0]) && Math.abs(position[0]) <= 180
+    && Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+  const rings = [];
+  for (const ring of geometry.coordinates) {
+    if (!Array.isArray(ring) || !ring.every(isPosition)) return null;
+    const points = ring.map(([lon, lat]) => [lon, lat]);
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) points.push(first);
+    if (points.length < 4) return null;
+    rings.push(points);
+  }
+  return rings;
+}
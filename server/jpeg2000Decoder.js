@@ -0,0 +1,42 @@
+// JPEG2000 decoder for GRIB2 JPEG2000 packing (data representation template 5.40)
+// Wraps the OpenJPEG WebAssembly build; the codestream holds a single
+// component whose samples are the packed integers.
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const openJpegFactory = require('@cornerstonejs/codec-openjpeg/decodewasmjs');
+
+// Instantiate the WASM module once at load time so decoding stays synchronous
+const openJpeg = await openJpegFactory({
+  print: () => {},
+  printErr: () => {}
+});
+
+export function decodeJpeg2000(buffer) {
+  const decoder = new openJpeg.J2KDecoder();
+
+  try {
+    decoder.getEncodedBuffer(buffer.length).set(buffer);
+    decoder.decode();
+
+    const { width, height, bitsPerSample, componentCount } = decoder.getFrameInfo();
+
+    if (componentCount !== 1) {
+      throw new Error(`JPEG2000 image has ${componentCount} components, expected 1`);
+    }
+    if (bitsPerSample > 16) {
+      throw new Error(`JPEG2000 sample depth of ${bitsPerSample} bits not supported`);
+    }
+
+    // The decoded buffer lives in WASM memory, so copy it out before cleanup
+    const decoded = decoder.getDecodedBuffer();
+    const pixels = bitsPerSample <= 8
+      ? Uint8Array.from(decoded)
+      : new Uint16Array(decoded.buffer.slice(decoded.byteOffset, decoded.byteOffset + decoded.byteLength));
+
+    return { width, height, bitsPerSample, pixels };
+  } finally {
+    decoder.delete();
+  }
+}
@@ -0,0 +1,220 @@
+// Basemaps and reference overlays offered by the map
+// Both are plain data served by GET /api/map/layers, and the helmet
+// Content-Security-Policy is generated from them (see mapContentSecurity), so
+// a tile host added here is allowed rather than silently blocked. A
+// deployment can replace either list in a JSON file (RADAR_MAP_LAYERS_FILE,
+// see loadMapLayers).
+//   basemaps  - raster tiles drawn under the radar. `url` is a Leaflet
+//               template ({s} subdomain, {z}/{x}/{y}, {r} retina suffix);
+//               with `url: null` the map is a plain `color` instead
+//   overlays  - GeoJSON drawn above the radar, from `file` in the reference
+//               directory (served at /api/map/reference/:id) or from `url`.
+//               `labels` names the property shown next to point features,
+//               which can set their own `minZoom`; `style` is Leaflet path
+//               options
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+// Reference GeoJSON shipped with the server (see "Basemaps and Reference Overlays" in the README)
+export const REFERENCE_DIR = fileURLToPath(new URL('./reference', import.meta.url));
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+export const BASEMAPS = [
+  {
+    id: 'light',
+    name: 'Light',
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    subdomains: 'abcd',
+    maxZoom: 20,
+    attribution: `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`
+  },
+  {
+    id: 'dark',
+    name: 'Dark',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    subdomains: 'abcd',
+    maxZoom: 20,
+    attribution: `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`
+  },
+  {
+    id: 'terrain',
+    name: 'Terrain',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    subdomains: 'abc',
+    maxZoom: 17,
+    attribution: `${OSM_ATTRIBUTION}, SRTM | Style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)`
+  },
+  {
+    id: 'streets',
+    name: 'Streets',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    subdomains: 'abc',
+    maxZoom: 19,
+    attribution: OSM_ATTRIBUTION
+  },
+  {
+    id: 'grey',
+    name: 'Plain grey',
+    url: null,
+    color: '#c8c8c8'
+  }
+];
+
+export const DEFAULT_BASEMAP = 'light';
+
+export const REFERENCE_OVERLAYS = [
+  {
+    id: 'states',
+    name: 'State boundaries',
+    file: 'states.geojson',
+    style: { color: '#333333', weight: 1.5, opacity: 0.8 }
+  },
+  {
+    id: 'counties',
+    name: 'County boundaries',
+    file: 'counties.geojson',
+    minZoom: 6, // thousands of outlines are only clutter further out
+    style: { color: '#666666', weight: 0.5, opacity: 0.7 }
+  },
+  {
+    id: 'cities',
+    name: 'Cities',
+    file: 'cities.geojson',
+    labels: 'name',
+    style: { color: '#222222', weight: 1, fillColor: '#ffffff', fillOpacity: 1 }
+  }
+];
+
+export const MAP_LAYERS = defineMapLayers({
+  basemaps: BASEMAPS,
+  overlays: REFERENCE_OVERLAYS,
+  defaultBasemap: DEFAULT_BASEMAP
+});
+
+// The map layers to offer: the built-in ones, or with `file` set, those with
+// any of the file's lists swapped in. The file is JSON of the form
+//   { "defaultBasemap": "<id>", "basemaps": [ ... ], "overlays": [ ... ] }
+// where every key is optional and a list replaces the built-in one whole.
+export function loadMapLayers(file) {
+  if (!file) return MAP_LAYERS;
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read map layers ${file}: ${error.message}`);
+  }
+  if (!isObject(config)) {
+    throw new Error(`Map layers ${file} must be an object`);
+  }
+
+  const basemaps = config.basemaps ?? BASEMAPS;
+  const layers = defineMapLayers({
+    basemaps,
+    overlays: config.overlays ?? REFERENCE_OVERLAYS,
+    // The built-in default may not survive a replaced list
+    defaultBasemap: config.defaultBasemap ?? (config.basemaps ? basemaps[0]?.id : DEFAULT_BASEMAP)
+  });
+  console.log(`[INFO] Loaded ${layers.basemaps.length} basemaps and ${layers.overlays.length} overlays from ${file}`);
+  return layers;
+}
+
+// Check basemap and overlay definitions, throwing on the first mistake so a
+// bad configuration stops the server at startup
+export function defineMapLayers({ basemaps, overlays, defaultBasemap }) {
+  if (!Array.isArray(basemaps) || basemaps.length === 0) {
+    throw new Error('Map layers: basemaps must be a non-empty array');
+  }
+  if (!Array.isArray(overlays)) {
+    throw new Error('Map layers: overlays must be an array');
+  }
+
+  const checkCommon = (kind, definition, index, seen) => {
+    const fail = (message) => {
+      throw new Error(`${kind} ${definition?.id ? `"${definition.id}"` : index}: ${message}`);
+    };
+    if (!isObject(definition)) fail('definition must be an object');
+    if (typeof definition.id !== 'string' || !/^[a-z0-9_-]+$/.test(definition.id)) {
+      fail('id must be lowercase letters, digits, dashes and underscores');
+    }
+    if (seen.has(definition.id)) fail('id is used twice');
+    seen.add(definition.id);
+    if (typeof definition.name !== 'string' || definition.name === '') fail('name must be a non-empty string');
+    if (definition.url != null) {
+      // Throws on anything not a usable http(s) template
+      try {
+        templateOrigin(definition.url);
+      } catch (error) {
+        fail(error.message);
+      }
+    }
+    return fail;
+  };
+
+  const basemapIds = new Set();
+  basemaps.forEach((basemap, index) => {
+    const fail = checkCommon('Basemap', basemap, index, basemapIds);
+    if (basemap.url == null && typeof basemap.color !== 'string') {
+      fail('needs a tile url or a background color');
+    }
+    if (basemap.maxZoom !== undefined && !Number.isInteger(basemap.maxZoom)) {
+      fail('maxZoom must be a whole number');
+    }
+  });
+  if (!basemapIds.has(defaultBasemap)) {
+    throw new Error(`Map layers: defaultBasemap must be one of ${[...basemapIds].join(', ')}`);
+  }
+
+  const overlayIds = new Set();
+  overlays.forEach((overlay, index) => {
+    const fail = checkCommon('Overlay', overlay, index, overlayIds);
+    if ((overlay.file == null) === (overlay.url == null)) fail('needs exactly one of file and url');
+    // Files are served from the reference directory and nowhere else
+    if (overlay.file != null && (typeof overlay.file !== 'string' || !/^[\w.-]+$/.test(overlay.file) || overlay.file.startsWith('.'))) {
+      fail('file must be a plain file name in the reference directory');
+    }
+    if (overlay.style !== undefined && !isObject(overlay.style)) fail('style must be an object');
+    if (overlay.minZoom !== undefined && !Number.isFinite(overlay.minZoom)) fail('minZoom must be a number');
+  });
+
+  return { basemaps, overlays, defaultBasemap };
+}
+
+// Overlays that can actually be served: those loaded from a URL and those
+// whose file is in `referenceDir`. Missing files are reported, not fatal,
+// since RADAR_REFERENCE_DIR may point at a directory with only some of them.
+export function availableOverlays(overlays, referenceDir) {
+  return overlays.filter((overlay) => {
+    if (overlay.url) return true;
+    const found = existsSync(join(referenceDir, overlay.file));
+    if (!found) {
+      console.log(`[INFO] Reference overlay "${overlay.id}" skipped, ${overlay.file} not found in ${referenceDir}`);
+    }
+    return found;
+  });
+}
+
+// CSP sources the map needs: tile hosts for img-src, and overlay hosts for
+// connect-src since the frontend fetches their GeoJSON
+export function mapContentSecurity({ basemaps, overlays }) {
+  const origins = (items) => [...new Set(items.filter((item) => item.url).map((item) => templateOrigin(item.url)))];
+  return { imgSrc: origins(basemaps), connectSrc: origins(overlays) };
+}
+
+// The CSP source for a tile or file URL template: its scheme and host, with a
+// {s} subdomain placeholder as a wildcard
+function templateOrigin(template) {
+  const match = typeof template === 'string' && /^(https?):\/\/([^/?#]+)/.exec(template);
+  const host = match && match[2].replace(/^\{s\}\./, '*.');
+  if (!host || !/^(\*\.)?[a-z0-9.-]+(:\d+)?$/i.test(host)) {
+    throw new Error('url must be an http(s) URL whose host is plain or starts with {s}.');
+  }
+  return `${match[1]}://${host}`;
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -2,29 +2,142 @@
 // This is a simplified parser specifically for MRMS data
 // GRIB2 structure: https://www.nco.ncep.noaa.gov/pmb/docs/grib2/grib2_doc/
 
-export function parseMRMSGrib2(buffer) {
-  let offset = 0;
+import { decodePng } from './pngDecoder.js';
+import { decodeJpeg2000 } from './jpeg2000Decoder.js';
+import { lookupMRMSParameter, SURFACE_TYPES, TIME_UNIT_SECONDS } from './mrmsTables.js';
+
+// Data representation templates (Section 5) we know how to unpack
+const PACKING = {
+  SIMPLE: 0,
+  JPEG2000: 40,
+  PNG: 41
+};
+
+// MRMS marks gaps with sentinel values inside the packed data instead of a bit map
+const MRMS_MISSING = -999;
+const MRMS_NO_COVERAGE = -99;
+
+// Per-pixel quality codes returned alongside the values
+export const QUALITY = {
+  VALID: 0,
+  MISSING: 1,
+  NO_COVERAGE: 2,
+  MASKED: 3 // Excluded by the GRIB2 bit map
+};
+
+// Parse a single-field file; returns the first field only
+export function parseMRMSGrib2(buffer, options = {}) {
+  const fields = parseMRMSGrib2Fields(buffer, options);
+
+  if (fields.length === 0) {
+    throw new Error('GRIB2 file contains no data fields');
+  }
 
-  // Section 0: Indicator Section (16 bytes)
-  const gribMagic = buffer.toString('utf8', offset, offset + 4);
-  if (gribMagic !== 'GRIB') {
+  return fields[0];
+}
+
+// Parse every field of every message in a (possibly concatenated) GRIB2 file.
+// Set options.sharedMemory to back values/quality with SharedArrayBuffers so
+// the grid can be handed between worker threads without copying.
+export function parseMRMSGrib2Fields(buffer, options = {}) {
+  if (buffer.toString('utf8', 0, 4) !== 'GRIB') {
     throw new Error('Not a valid GRIB2 file');
   }
 
-  const discipline = buffer.readUInt8(offset + 6);
-  const edition = buffer.readUInt8(offset + 7);
+  const fields = [];
+  let offset = 0;
+  let messageIndex = 0;
+
+  while (offset >= 0 && offset + 16 <= buffer.length) {
+    const messageLength = parseMessage(buffer, offset, messageIndex, fields, options);
+    messageIndex++;
+
+    // Skip any padding between messages
+    offset = buffer.indexOf('GRIB', offset + messageLength, 'utf8');
+  }
+
+  return fields;
+}
+
+// Walk the sections of one message, emitting a field for every Section 7.
+// Sections 2-7, 3-7 or 4-7 may repeat within a message, and each repetition
+// reuses the most recently seen copy of the sections it omits.
+function parseMessage(buffer, start, messageIndex, fields, options) {
+  // Section 0: Indicator Section (16 bytes)
+  const discipline = buffer.readUInt8(start + 6);
+  const edition = buffer.readUInt8(start + 7);
 
   if (edition !== 2) {
     throw new Error(`GRIB edition ${edition} not supported`);
   }
 
-  offset += 16;
+  const messageLength = Number(buffer.readBigUInt64BE(start + 8));
+  const messageEnd = start + messageLength;
 
-  // Section 1: Identification Section
-  const section1Length = buffer.readUInt32BE(offset);
-  // Section 1 number not used but read for validation
-  // const section1Number = buffer.readUInt8(offset + 4);
+  if (messageLength < 16 || messageEnd > buffer.length) {
+    throw new Error(`GRIB2 message ${messageIndex} is truncated`);
+  }
+
+  let offset = start + 16;
+  let identification = null;
+  let grid = null;
+  let product = null;
+  let representation = null;
+  let bitMap = null;
+
+  while (offset < messageEnd) {
+    // Section 8: End Section ("7777")
+    if (buffer.toString('utf8', offset, offset + 4) === '7777') {
+      break;
+    }
+
+    const sectionLength = buffer.readUInt32BE(offset);
+    const sectionNumber = buffer.readUInt8(offset + 4);
+
+    if (sectionLength < 5 || offset + sectionLength > messageEnd) {
+      throw new Error(`GRIB2 message ${messageIndex} has a corrupt Section ${sectionNumber}`);
+    }
+
+    switch (sectionNumber) {
+      case 1:
+        identification = parseIdentification(buffer, offset);
+        break;
+      case 2:
+        // Local Use Section, nothing we need
+        break;
+      case 3:
+        grid = parseGridDefinition(buffer, offset);
+        break;
+      case 4:
+        product = parseProductDefinition(buffer, offset);
+        break;
+      case 5:
+        representation = parseDataRepresentation(buffer, offset);
+        break;
+      case 6:
+        bitMap = parseBitMap(buffer, offset, sectionLength, bitMap);
+        break;
+      case 7: {
+        if (!identification || !grid || !product || !representation) {
+          throw new Error(`GRIB2 message ${messageIndex} has a Data Section before its definitions`);
+        }
+
+        const dataBuffer = buffer.subarray(offset + 5, offset + sectionLength);
+        fields.push(buildField(discipline, identification, grid, product, representation, bitMap, dataBuffer, messageIndex, options));
+        break;
+      }
+      default:
+        throw new Error(`GRIB2 message ${messageIndex} has unknown Section ${sectionNumber}`);
+    }
+
+    offset += sectionLength;
+  }
 
+  return messageLength;
+}
+
+// Section 1: Identification Section
+function parseIdentification(buffer, offset) {
   // Extract timestamp info
   const year = buffer.readUInt16BE(offset + 12);
   const month = buffer.readUInt8(offset + 14);
@@ -33,155 +146,308 @@ export function parseMRMSGrib2(buffer) {
   const minute = buffer.readUInt8(offset + 17);
   const second = buffer.readUInt8(offset + 18);
 
-  offset += section1Length;
-
-  // Section 2: Local Use Section (optional)
-  const section2Length = buffer.readUInt32BE(offset);
-  const section2Number = buffer.readUInt8(offset + 4);
-  if (section2Number === 2) {
-    offset += section2Length;
-  }
+  return {
+    timestamp: new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+  };
+}
 
-  // Section 3: Grid Definition Section
-  const section3Length = buffer.readUInt32BE(offset);
+// Section 3: Grid Definition Section
+function parseGridDefinition(buffer, offset) {
+  const numberOfGridPoints = buffer.readUInt32BE(offset + 6);
   // Grid definition template number (not used but available for validation)
   // const gridDefTemplateNum = buffer.readUInt16BE(offset + 12);
 
   // Parse Lat/Lon grid (template 0)
-  const nx = buffer.readUInt32BE(offset + 30); // Number of points along x-axis
-  const ny = buffer.readUInt32BE(offset + 34); // Number of points along y-axis
-  const la1 = buffer.readInt32BE(offset + 46) / 1e6; // Latitude of first point
-  const lo1 = buffer.readInt32BE(offset + 50) / 1e6; // Longitude of first point
-  const la2 = buffer.readInt32BE(offset + 55) / 1e6; // Latitude of last point
-  const lo2 = buffer.readInt32BE(offset + 59) / 1e6; // Longitude of last point
-  const dx = buffer.readUInt32BE(offset + 63) / 1e6; // i-direction increment
-  const dy = buffer.readUInt32BE(offset + 67) / 1e6; // j-direction increment
-
-  offset += section3Length;
-
-  // Section 4: Product Definition Section
-  const section4Length = buffer.readUInt32BE(offset);
-  // Product definition template number (MRMS-specific, not validated)
-  // const productDefTemplateNum = buffer.readUInt16BE(offset + 7);
-
-  // We'll skip detailed parsing of product definition since it's MRMS-specific
-  offset += section4Length;
-
-  // Section 5: Data Representation Section
-  const section5Length = buffer.readUInt32BE(offset);
+  return {
+    numberOfGridPoints,
+    nx: buffer.readUInt32BE(offset + 30), // Number of points along x-axis
+    ny: buffer.readUInt32BE(offset + 34), // Number of points along y-axis
+    la1: buffer.readInt32BE(offset + 46) / 1e6, // Latitude of first point
+    lo1: buffer.readInt32BE(offset + 50) / 1e6, // Longitude of first point
+    la2: buffer.readInt32BE(offset + 55) / 1e6, // Latitude of last point
+    lo2: buffer.readInt32BE(offset + 59) / 1e6, // Longitude of last point
+    dx: buffer.readUInt32BE(offset + 63) / 1e6, // i-direction increment
+    dy: buffer.readUInt32BE(offset + 67) / 1e6 // j-direction increment
+  };
+}
+
+// Section 4: Product Definition Section
+function parseProductDefinition(buffer, offset) {
+  // Category and number sit at the same place in every template
+  const templateNumber = buffer.readUInt16BE(offset + 7);
+  const product = {
+    templateNumber,
+    parameterCategory: buffer.readUInt8(offset + 9),
+    parameterNumber: buffer.readUInt8(offset + 10),
+    surface: null,
+    forecast: null
+  };
+
+  // Templates 4.0-4.15 share the layout of template 4.0 up to octet 34,
+  // which covers the forecast time and the first fixed surface
+  if (templateNumber > 15) {
+    return product;
+  }
+
+  const timeUnit = buffer.readUInt8(offset + 17);
+  const forecastTime = readSignMagnitudeInt32(buffer, offset + 18);
+  product.forecast = {
+    value: forecastTime,
+    timeUnit,
+    offsetSeconds: TIME_UNIT_SECONDS[timeUnit] !== undefined
+      ? forecastTime * TIME_UNIT_SECONDS[timeUnit]
+      : null
+  };
+
+  const surfaceType = buffer.readUInt8(offset + 22);
+  if (surfaceType !== 255) {
+    const scaleFactor = buffer.readUInt8(offset + 23);
+    const scaledValue = buffer.readUInt32BE(offset + 24);
+    // All bits set means the value is missing
+    const value = scaleFactor === 0xff || scaledValue === 0xffffffff
+      ? null
+      : readSignMagnitudeInt32(buffer, offset + 24) * Math.pow(10, -signMagnitude(scaleFactor, 8));
+
+    product.surface = {
+      type: surfaceType,
+      name: SURFACE_TYPES[surfaceType]?.name || null,
+      value,
+      units: SURFACE_TYPES[surfaceType]?.units || null
+    };
+  }
+
+  return product;
+}
+
+// Section 5: Data Representation Section
+function parseDataRepresentation(buffer, offset) {
   const numberOfDataPoints = buffer.readUInt32BE(offset + 5);
-  // Data representation template number (not validated, assuming simple packing)
-  // const dataRepTemplateNum = buffer.readUInt16BE(offset + 9);
+  const dataRepTemplateNum = buffer.readUInt16BE(offset + 9);
 
-  // For simple packing (template 0)
-  const referenceValue = buffer.readFloatBE(offset + 11);
-  const binaryScaleFactor = buffer.readInt16BE(offset + 15);
-  const decimalScaleFactor = buffer.readInt16BE(offset + 17);
-  const numberOfBits = buffer.readUInt8(offset + 19);
+  if (!Object.values(PACKING).includes(dataRepTemplateNum)) {
+    throw new Error(`Unsupported GRIB2 packing: data representation template 5.${dataRepTemplateNum}`);
+  }
 
-  offset += section5Length;
+  // Templates 5.0, 5.40 and 5.41 share the same leading fields
+  return {
+    numberOfDataPoints,
+    dataRepTemplateNum,
+    referenceValue: buffer.readFloatBE(offset + 11),
+    binaryScaleFactor: readSignMagnitudeInt16(buffer, offset + 15),
+    decimalScaleFactor: readSignMagnitudeInt16(buffer, offset + 17),
+    numberOfBits: buffer.readUInt8(offset + 19)
+  };
+}
 
-  // Section 6: Bit Map Section
-  const section6Length = buffer.readUInt32BE(offset);
+// Section 6: Bit Map Section
+function parseBitMap(buffer, offset, sectionLength, previousBitMap) {
   const bitMapIndicator = buffer.readUInt8(offset + 5);
 
-  let bitMap = null;
   if (bitMapIndicator === 0) {
     // Bit map is present
-    bitMap = buffer.slice(offset + 6, offset + section6Length);
+    return buffer.subarray(offset + 6, offset + sectionLength);
   }
 
-  offset += section6Length;
+  if (bitMapIndicator === 254) {
+    // Reuse the bit map defined earlier in this message
+    if (!previousBitMap) {
+      throw new Error('GRIB2 field refers to a previously defined bit map that does not exist');
+    }
+    return previousBitMap;
+  }
 
-  // Section 7: Data Section
-  const section7Length = buffer.readUInt32BE(offset);
-  const dataOffset = offset + 5;
-  const dataBuffer = buffer.slice(dataOffset, offset + section7Length);
+  // 255: no bit map applies
+  return null;
+}
 
-  // Decode the data values
-  const values = decodeData(
+function buildField(discipline, identification, grid, product, representation, bitMap, dataBuffer, messageIndex, options) {
+  const { values, quality } = decodeData(
+    representation,
     dataBuffer,
     bitMap,
-    numberOfDataPoints,
-    numberOfBits,
-    referenceValue,
-    binaryScaleFactor,
-    decimalScaleFactor
+    grid.numberOfGridPoints || grid.nx * grid.ny,
+    options
   );
 
   return {
     discipline,
-    timestamp: new Date(Date.UTC(year, month - 1, day, hour, minute, second)),
-    nx,
-    ny,
-    la1,
-    lo1,
-    la2,
-    lo2,
-    dx,
-    dy,
+    messageIndex,
+    timestamp: identification.timestamp,
+    product: describeProduct(discipline, product),
+    nx: grid.nx,
+    ny: grid.ny,
+    la1: grid.la1,
+    lo1: grid.lo1,
+    la2: grid.la2,
+    lo2: grid.lo2,
+    dx: grid.dx,
+    dy: grid.dy,
     values,
-    numberOfDataPoints
+    quality,
+    numberOfDataPoints: representation.numberOfDataPoints,
+    packing: representation.dataRepTemplateNum
   };
 }
 
-function decodeData(
-  dataBuffer,
-  bitMap,
-  numberOfDataPoints,
-  numberOfBits,
-  referenceValue,
-  binaryScaleFactor,
-  decimalScaleFactor
-) {
-  const values = new Float32Array(numberOfDataPoints);
+// Attach the MRMS table entry (name and units) to the decoded Section 4
+function describeProduct(discipline, product) {
+  const parameter = lookupMRMSParameter(discipline, product.parameterCategory, product.parameterNumber);
 
-  // Calculate scaling factors
-  const binaryScale = Math.pow(2, binaryScaleFactor);
-  const decimalScale = Math.pow(10, -decimalScaleFactor);
+  return {
+    discipline,
+    ...product,
+    name: parameter?.name || null,
+    units: parameter?.units || null
+  };
+}
 
+// Return a function that yields the next packed integer on every call.
+// Simple packing is read straight out of Section 7; the image packings are
+// decoded to an integer array first.
+function createPackedReader(dataRepTemplateNum, dataBuffer, numberOfDataPoints, numberOfBits) {
   if (numberOfBits === 0) {
-    // All values are the reference value
-    values.fill(referenceValue);
-    return values;
+    // Constant field, Section 7 carries no data
+    return () => 0;
   }
 
-  let bitPos = 0;
+  if (dataRepTemplateNum === PACKING.SIMPLE) {
+    const requiredBytes = Math.ceil((numberOfDataPoints * numberOfBits) / 8);
+    if (dataBuffer.length < requiredBytes) {
+      throw new Error(`Data Section holds ${dataBuffer.length} bytes, expected ${requiredBytes}`);
+    }
+    return createSimpleReader(dataBuffer, numberOfBits);
+  }
 
-  for (let i = 0; i < numberOfDataPoints; i++) {
-    // Check bit map if present
-    if (bitMap) {
-      const byteIndex = Math.floor(i / 8);
-      const bitIndex = 7 - (i % 8);
-      const isMasked = (bitMap[byteIndex] >> bitIndex) & 1;
-
-      if (isMasked === 0) {
-        values[i] = NaN; // Missing value
-        continue;
+  const image = dataRepTemplateNum === PACKING.PNG
+    ? decodePng(dataBuffer)
+    : decodeJpeg2000(dataBuffer);
+
+  if (image.pixels.length < numberOfDataPoints) {
+    throw new Error(
+      `Packed image holds ${image.pixels.length} values, expected ${numberOfDataPoints}`
+    );
+  }
+
+  const pixels = image.pixels;
+  let index = 0;
+  return () => pixels[index++];
+}
+
+// Simple packing stores each value in numberOfBits bits, back to back
+function createSimpleReader(buffer, numberOfBits) {
+  let pos = 0;
+
+  // Byte-aligned widths need no bit shuffling at all
+  if (numberOfBits === 8) {
+    return () => buffer[pos++];
+  }
+  if (numberOfBits === 16) {
+    return () => {
+      const value = (buffer[pos] << 8) | buffer[pos + 1];
+      pos += 2;
+      return value;
+    };
+  }
+
+  // Other widths: feed whole bytes into an accumulator and peel values off
+  // the top. Up to 24 bits the accumulator fits in a 31-bit integer.
+  let accumulator = 0;
+  let accumulatorBits = 0;
+
+  if (numberOfBits <= 24) {
+    const mask = (1 << numberOfBits) - 1;
+    return () => {
+      while (accumulatorBits < numberOfBits) {
+        accumulator = ((accumulator << 8) | buffer[pos++]) & 0x7fffffff;
+        accumulatorBits += 8;
       }
+      accumulatorBits -= numberOfBits;
+      return (accumulator >>> accumulatorBits) & mask;
+    };
+  }
+
+  // Wider values need up to 39 bits, so fall back to float arithmetic
+  return () => {
+    while (accumulatorBits < numberOfBits) {
+      accumulator = accumulator * 256 + buffer[pos++];
+      accumulatorBits += 8;
     }
+    accumulatorBits -= numberOfBits;
+    const divisor = Math.pow(2, accumulatorBits);
+    const value = Math.floor(accumulator / divisor);
+    accumulator -= value * divisor;
+    return value;
+  };
+}
+
+function allocate(ArrayType, length, sharedMemory) {
+  return sharedMemory
+    ? new ArrayType(new SharedArrayBuffer(length * ArrayType.BYTES_PER_ELEMENT))
+    : new ArrayType(length);
+}
+
+function classifySentinel(value) {
+  if (Math.abs(value - MRMS_MISSING) < 0.5) return QUALITY.MISSING;
+  if (Math.abs(value - MRMS_NO_COVERAGE) < 0.5) return QUALITY.NO_COVERAGE;
+  return QUALITY.VALID;
+}
+
+function decodeData(representation, dataBuffer, bitMap, numberOfGridPoints, { sharedMemory = false } = {}) {
+  const {
+    numberOfDataPoints,
+    dataRepTemplateNum,
+    referenceValue,
+    binaryScaleFactor,
+    decimalScaleFactor,
+    numberOfBits
+  } = representation;
 
-    // Read the packed value
-    const packedValue = readBits(dataBuffer, bitPos, numberOfBits);
-    bitPos += numberOfBits;
+  const values = allocate(Float32Array, numberOfGridPoints, sharedMemory);
+  const quality = allocate(Uint8Array, numberOfGridPoints, sharedMemory);
+  const nextPacked = createPackedReader(dataRepTemplateNum, dataBuffer, numberOfDataPoints, numberOfBits);
+
+  // Calculate scaling factors
+  const binaryScale = Math.pow(2, binaryScaleFactor);
+  const decimalScale = Math.pow(10, -decimalScaleFactor);
+
+  // Sentinel checks only run on values at or below the no-coverage marker
+  const sentinelCeiling = MRMS_NO_COVERAGE + 0.5;
+
+  for (let i = 0; i < numberOfGridPoints; i++) {
+    // Check bit map if present
+    if (bitMap !== null && ((bitMap[i >> 3] >> (7 - (i & 7))) & 1) === 0) {
+      values[i] = NaN; // Missing value
+      quality[i] = QUALITY.MASKED;
+      continue;
+    }
 
     // Apply the formula: Y = (R + X × 2^E) × 10^(-D)
     // where Y = final value, R = reference, X = packed value, E = binary scale, D = decimal scale
-    values[i] = (referenceValue + packedValue * binaryScale) * decimalScale;
+    const value = (referenceValue + nextPacked() * binaryScale) * decimalScale;
+
+    if (value > sentinelCeiling) {
+      values[i] = value;
+    } else {
+      // Sentinels become NaN so they never pass for real measurements
+      const code = classifySentinel(value);
+      values[i] = code === QUALITY.VALID ? value : NaN;
+      quality[i] = code;
+    }
   }
 
-  return values;
+  return { values, quality };
 }
 
-function readBits(buffer, bitOffset, numBits) {
-  let value = 0;
+// GRIB2 stores signed integers as sign bit + magnitude, not two's complement
+function signMagnitude(raw, bits) {
+  const signBit = 2 ** (bits - 1);
+  return raw >= signBit ? -(raw - signBit) : raw;
+}
 
-  for (let i = 0; i < numBits; i++) {
-    const byteIndex = Math.floor((bitOffset + i) / 8);
-    const bitIndex = 7 - ((bitOffset + i) % 8);
-    const bit = (buffer[byteIndex] >> bitIndex) & 1;
-    value = (value << 1) | bit;
-  }
+function readSignMagnitudeInt16(buffer, offset) {
+  return signMagnitude(buffer.readUInt16BE(offset), 16);
+}
 
-  return value;
+function readSignMagnitudeInt32(buffer, offset) {
+  return signMagnitude(buffer.readUInt32BE(offset), 32);
 }
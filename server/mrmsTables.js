@@ -0,0 +1,122 @@
+// MRMS GRIB2 lookup tables
+// MRMS publishes its fields under the local-use discipline 209.
+// Source: https://www.nssl.noaa.gov/projects/mrms/operational/tables.php
+
+export const MRMS_DISCIPLINE = 209;
+
+// Parameter names and units, keyed by category then parameter number
+export const MRMS_PARAMETERS = {
+  // Category 2: Lightning
+  2: {
+    0: { name: 'NLDN_CG_001min_AvgDensity', units: 'flashes/km²/min' },
+    1: { name: 'NLDN_CG_005min_AvgDensity', units: 'flashes/km²/min' },
+    2: { name: 'NLDN_CG_015min_AvgDensity', units: 'flashes/km²/min' },
+    3: { name: 'NLDN_CG_030min_AvgDensity', units: 'flashes/km²/min' },
+    4: { name: 'LightningProbabilityNext30minGrid', units: '%' },
+    5: { name: 'LightningProbabilityNext60minGrid', units: '%' }
+  },
+  // Category 3: Convection
+  3: {
+    0: { name: 'MergedAzShear0to2kmAGL', units: '0.001/s' },
+    1: { name: 'MergedAzShear3to6kmAGL', units: '0.001/s' },
+    2: { name: 'RotationTrack30min', units: '0.001/s' },
+    3: { name: 'RotationTrack60min', units: '0.001/s' },
+    4: { name: 'RotationTrack120min', units: '0.001/s' },
+    5: { name: 'RotationTrack240min', units: '0.001/s' },
+    6: { name: 'RotationTrack360min', units: '0.001/s' },
+    7: { name: 'RotationTrack1440min', units: '0.001/s' },
+    26: { name: 'SHI', units: 'index' },
+    27: { name: 'POSH', units: '%' },
+    28: { name: 'MESH', units: 'mm' },
+    29: { name: 'MESHMax30min', units: 'mm' },
+    30: { name: 'MESHMax60min', units: 'mm' },
+    31: { name: 'MESHMax120min', units: 'mm' },
+    32: { name: 'MESHMax240min', units: 'mm' },
+    33: { name: 'MESHMax360min', units: 'mm' },
+    34: { name: 'MESHMax1440min', units: 'mm' },
+    37: { name: 'VIL', units: 'kg/m²' },
+    38: { name: 'VILDensity', units: 'g/m³' },
+    39: { name: 'VII', units: 'kg/m²' },
+    40: { name: 'EchoTop_18', units: 'km' },
+    41: { name: 'EchoTop_30', units: 'km' },
+    42: { name: 'EchoTop_50', units: 'km' },
+    43: { name: 'EchoTop_60', units: 'km' },
+    44: { name: 'H50AboveM20C', units: 'km' },
+    45: { name: 'H50Above0C', units: 'km' },
+    46: { name: 'H60AboveM20C', units: 'km' },
+    47: { name: 'H60Above0C', units: 'km' },
+    48: { name: 'Reflectivity_0C', units: 'dBZ' },
+    49: { name: 'Reflectivity_-5C', units: 'dBZ' },
+    50: { name: 'Reflectivity_-10C', units: 'dBZ' },
+    51: { name: 'Reflectivity_-15C', units: 'dBZ' },
+    52: { name: 'Reflectivity_-20C', units: 'dBZ' },
+    53: { name: 'ReflectivityAtLowestAltitude', units: 'dBZ' },
+    54: { name: 'MergedReflectivityAtLowestAltitude', units: 'dBZ' }
+  },
+  // Category 6: Precipitation
+  6: {
+    0: { name: 'PrecipFlag', units: 'flag' },
+    1: { name: 'PrecipRate', units: 'mm/hr' },
+    2: { name: 'RadarOnly_QPE_01H', units: 'mm' },
+    3: { name: 'RadarOnly_QPE_03H', units: 'mm' },
+    4: { name: 'RadarOnly_QPE_06H', units: 'mm' },
+    5: { name: 'RadarOnly_QPE_12H', units: 'mm' },
+    6: { name: 'RadarOnly_QPE_24H', units: 'mm' },
+    7: { name: 'RadarOnly_QPE_48H', units: 'mm' },
+    8: { name: 'RadarOnly_QPE_72H', units: 'mm' },
+    30: { name: 'MultiSensor_QPE_01H_Pass1', units: 'mm' },
+    31: { name: 'MultiSensor_QPE_03H_Pass1', units: 'mm' },
+    32: { name: 'MultiSensor_QPE_06H_Pass1', units: 'mm' },
+    33: { name: 'MultiSensor_QPE_12H_Pass1', units: 'mm' },
+    34: { name: 'MultiSensor_QPE_24H_Pass1', units: 'mm' },
+    35: { name: 'MultiSensor_QPE_48H_Pass1', units: 'mm' },
+    36: { name: 'MultiSensor_QPE_72H_Pass1', units: 'mm' },
+    37: { name: 'MultiSensor_QPE_01H_Pass2', units: 'mm' },
+    38: { name: 'MultiSensor_QPE_03H_Pass2', units: 'mm' },
+    39: { name: 'MultiSensor_QPE_06H_Pass2', units: 'mm' },
+    40: { name: 'MultiSensor_QPE_12H_Pass2', units: 'mm' },
+    41: { name: 'MultiSensor_QPE_24H_Pass2', units: 'mm' },
+    42: { name: 'MultiSensor_QPE_48H_Pass2', units: 'mm' },
+    43: { name: 'MultiSensor_QPE_72H_Pass2', units: 'mm' }
+  },
+  // Category 9: 3D Reflectivity Mosaic
+  9: {
+    0: { name: 'MergedReflectivityQC', units: 'dBZ' }
+  },
+  // Category 10: Composite Reflectivity
+  10: {
+    0: { name: 'MergedReflectivityQCComposite', units: 'dBZ' },
+    1: { name: 'HeightCompositeReflectivity', units: 'm' },
+    2: { name: 'LowLevelCompositeReflectivity', units: 'dBZ' },
+    3: { name: 'HeightLowLevelCompositeReflectivity', units: 'm' },
+    4: { name: 'LayerCompositeReflectivity_Low', units: 'dBZ' },
+    5: { name: 'LayerCompositeReflectivity_High', units: 'dBZ' },
+    6: { name: 'LayerCompositeReflectivity_Super', units: 'dBZ' },
+    7: { name: 'ReflectivityCompositeHourlyMax', units: 'dBZ' }
+  }
+};
+
+// Code table 4.5: fixed surface types used by MRMS products
+export const SURFACE_TYPES = {
+  1: { name: 'Ground or water surface', units: null },
+  10: { name: 'Entire atmosphere (as single layer)', units: null },
+  102: { name: 'Specific altitude above mean sea level', units: 'm' },
+  103: { name: 'Specified height level above ground', units: 'm' },
+  200: { name: 'Entire atmosphere', units: null }
+};
+
+// Code table 4.4: indicator of unit of time range, in seconds
+export const TIME_UNIT_SECONDS = {
+  0: 60, // Minute
+  1: 3600, // Hour
+  2: 86400, // Day
+  10: 3 * 3600, // 3 hours
+  11: 6 * 3600, // 6 hours
+  12: 12 * 3600, // 12 hours
+  13: 1 // Second
+};
+
+export function lookupMRMSParameter(discipline, category, number) {
+  if (discipline !== MRMS_DISCIPLINE) return null;
+  return MRMS_PARAMETERS[category]?.[number] || null;
+}
@@ -0,0 +1,118 @@
+// Nearest echo to a point and a rough arrival estimate
+// findNearestEcho runs in the worker pool. It walks square rings of cells
+// outwards from the point and stops once a ring can only hold cells further
+// away than the best match so far, so a nearby echo is found after a few
+// rings however large the grid. estimateArrival turns the echo's distance in
+// a few recent frames into the time it would take to reach the point.
+
+import { QUALITY } from './mrmsParser.js';
+import { findNearestCell, toSignedLongitude } from './gridQuery.js';
+
+export const DEFAULT_ECHO_DISTANCE = 250; // km searched around the point
+export const MAX_ECHO_DISTANCE = 500; // km
+
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LON = 111.32; // at the equator
+const MIN_APPROACH_SPEED = 5; // km/h; slower is treated as not approaching
+const MAX_ARRIVAL_MINUTES = 180; // further out the trend says little
+
+// The closest valid cell at or above `threshold` within maxDistanceKm of
+// (lat, lon): its centre, value, distance in km and bearing from the point
+// in degrees clockwise from north. Null when there is none or the point is
+// off the grid.
+export function findNearestEcho(grid, { lat, lon, threshold, maxDistanceKm = DEFAULT_ECHO_DISTANCE }) {
+  const origin = findNearestCell(grid, lat, lon);
+  if (!origin) return null;
+
+  const { nx, ny, la1, lo1, dx, dy, values, quality } = grid;
+  const west = toSignedLongitude(lo1);
+  const pointLon = toSignedLongitude(lon);
+
+  // Columns narrow towards the pole, so rings are spaced by the narrowest
+  // step within reach and none is skipped too early
+  const farthestLat = Math.min(89, Math.abs(lat) + maxDistanceKm / KM_PER_DEGREE_LAT);
+  const stepKm = Math.min(
+    dy * KM_PER_DEGREE_LAT,
+    dx * KM_PER_DEGREE_LON * Math.cos((farthestLat * Math.PI) / 180)
+  );
+  const lastRing = Math.ceil(maxDistanceKm / stepKm) + 1;
+
+  let best = null;
+  const visit = (i, j) => {
+    if (i < 0 || i >= nx || j < 0 || j >= ny) return;
+    const index = j * nx + i;
+    if (quality[index] !== QUALITY.VALID || !(values[index] >= threshold)) return;
+
+    const cellLat = la1 - j * dy;
+    const cellLon = west + i * dx;
+    const north = (cellLat - lat) * KM_PER_DEGREE_LAT;
+    const east = (cellLon - pointLon) * KM_PER_DEGREE_LON * Math.cos((((cellLat + lat) / 2) * Math.PI) / 180);
+    const distance = Math.hypot(north, east);
+    if (distance <= maxDistanceKm && (!best || distance < best.distance)) {
+      best = { index, lat: cellLat, lon: cellLon, distance, north, east };
+    }
+  };
+
+  for (let ring = 0; ring <= lastRing; ring++) {
+    // A ring's cells are at least ring - 1 steps away, the point sitting up
+    // to half a cell off the centre of its own
+    if (best && (ring - 1) * stepKm > best.distance) break;
+    if (ring === 0) {
+      visit(origin.i, origin.j);
+      continue;
+    }
+    for (let k = -ring; k <= ring; k++) {
+      visit(origin.i + k, origin.j - ring);
+      visit(origin.i + k, origin.j + ring);
+    }
+    for (let k = 1 - ring; k < ring; k++) {
+      visit(origin.i - ring, origin.j + k);
+      visit(origin.i + ring, origin.j + k);
+    }
+  }
+
+  if (!best) return null;
+  return {
+    lat: round(best.lat, 6),
+    lon: round(best.lon, 6),
+    value: values[best.index],
+    distanceKm: round(best.distance, 1),
+    // The point's own cell has no direction
+    bearingDeg: best.distance > 0 ? round((((Math.atan2(best.east, best.north) * 180) / Math.PI) + 360) % 360, 0) : null
+  };
+}
+
+// How fast the nearest echo is closing in and when it would arrive, from
+// `history` ([{ time, distanceKm }] oldest first, ending with the latest
+// frame; distanceKm null where none was found). The speed is the
+// least-squares slope of distance over time. Null without the latest echo and
+// at least one earlier one; `minutes` is null when the echo isn't approaching
+// or is too far off for the trend to mean much.
+export function estimateArrival(history) {
+  const latest = history[history.length - 1];
+  if (latest?.distanceKm == null) return null;
+  if (latest.distanceKm === 0) return { approachKmh: null, minutes: 0 };
+
+  const points = history
+    .filter((entry) => entry.distanceKm !== null)
+    .map((entry) => ({ hours: (entry.time - latest.time) / 3600000, distance: entry.distanceKm }));
+  if (points.length < 2) return null;
+
+  const meanHours = points.reduce((sum, point) => sum + point.hours, 0) / points.length;
+  const meanDistance = points.reduce((sum, point) => sum + point.distance, 0) / points.length;
+  let covariance = 0;
+  let variance = 0;
+  for (const point of points) {
+    covariance += (point.hours - meanHours) * (point.distance - meanDistance);
+    variance += (point.hours - meanHours) ** 2;
+  }
+  const approachKmh = -covariance / variance;
+
+  const minutes = (latest.distanceKm / approachKmh) * 60;
+  return {
+    approachKmh: round(approachKmh, 1),
+    minutes: approachKmh >= MIN_APPROACH_SPEED && minutes <= MAX_ARRIVAL_MINUTES ? Math.round(minutes) : null
+  };
+}
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
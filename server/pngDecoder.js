@@ -0,0 +1,159 @@
+// Minimal PNG decoder for GRIB2 PNG packing (data representation template 5.41)
+// GRIB2 stores the packed integers as a non-interlaced grayscale/RGB/RGBA image,
+// so only the subset of PNG needed for that is implemented here.
+// PNG structure: https://www.w3.org/TR/png/
+
+import { inflateSync } from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// Channels per pixel for each PNG colour type
+const CHANNELS_BY_COLOR_TYPE = {
+  0: 1, // Grayscale
+  2: 3, // RGB
+  4: 2, // Grayscale + alpha
+  6: 4  // RGBA
+};
+
+export function decodePng(buffer) {
+  if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a valid PNG image');
+  }
+
+  let offset = PNG_SIGNATURE.length;
+  let header = null;
+  const idatChunks = [];
+
+  // Walk the chunk list: length (4) + type (4) + data + CRC (4)
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data.readUInt8(8),
+        colorType: data.readUInt8(9),
+        interlace: data.readUInt8(12)
+      };
+    } else if (type === 'IDAT') {
+      idatChunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += 12 + length;
+  }
+
+  if (!header) {
+    throw new Error('PNG image is missing IHDR chunk');
+  }
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS_BY_COLOR_TYPE[colorType];
+
+  if (!channels) {
+    throw new Error(`PNG colour type ${colorType} not supported`);
+  }
+  if (interlace !== 0) {
+    throw new Error('Interlaced PNG images not supported');
+  }
+
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+
+  const raw = inflateSync(Buffer.concat(idatChunks));
+  if (raw.length < height * (rowBytes + 1)) {
+    throw new Error('PNG image data is truncated');
+  }
+
+  const scanlines = unfilter(raw, width, height, rowBytes, bytesPerPixel);
+
+  return {
+    width,
+    height,
+    bitsPerPixel,
+    pixels: readPixels(scanlines, width, height, rowBytes, bitsPerPixel)
+  };
+}
+
+// Reverse the per-scanline filters (PNG spec section 9)
+function unfilter(raw, width, height, rowBytes, bytesPerPixel) {
+  const out = Buffer.alloc(height * rowBytes);
+
+  for (let y = 0; y < height; y++) {
+    const filterType = raw[y * (rowBytes + 1)];
+    const src = y * (rowBytes + 1) + 1;
+    const dst = y * rowBytes;
+    const prev = dst - rowBytes;
+
+    for (let i = 0; i < rowBytes; i++) {
+      const x = raw[src + i];
+      const a = i >= bytesPerPixel ? out[dst + i - bytesPerPixel] : 0;
+      const b = y > 0 ? out[prev + i] : 0;
+      const c = y > 0 && i >= bytesPerPixel ? out[prev + i - bytesPerPixel] : 0;
+
+      switch (filterType) {
+        case 0: // None
+          out[dst + i] = x;
+          break;
+        case 1: // Sub
+          out[dst + i] = x + a;
+          break;
+        case 2: // Up
+          out[dst + i] = x + b;
+          break;
+        case 3: // Average
+          out[dst + i] = x + ((a + b) >> 1);
+          break;
+        case 4: { // Paeth
+          const p = a + b - c;
+          const pa = Math.abs(p - a);
+          const pb = Math.abs(p - b);
+          const pc = Math.abs(p - c);
+          out[dst + i] = x + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c);
+          break;
+        }
+        default:
+          throw new Error(`Unknown PNG filter type ${filterType}`);
+      }
+    }
+  }
+
+  return out;
+}
+
+// GRIB2 treats all channels of a pixel as one big-endian integer
+function readPixels(scanlines, width, height, rowBytes, bitsPerPixel) {
+  const count = width * height;
+  const pixels = bitsPerPixel <= 8
+    ? new Uint8Array(count)
+    : bitsPerPixel <= 16 ? new Uint16Array(count) : new Uint32Array(count);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * rowBytes;
+
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+
+      if (bitsPerPixel < 8) {
+        const bitOffset = x * bitsPerPixel;
+        const byte = scanlines[row + (bitOffset >> 3)];
+        const shift = 8 - bitsPerPixel - (bitOffset & 7);
+        pixels[i] = (byte >> shift) & ((1 << bitsPerPixel) - 1);
+      } else {
+        const bytes = bitsPerPixel >> 3;
+        let value = 0;
+        for (let k = 0; k < bytes; k++) {
+          value = value * 256 + scanlines[row + x * bytes + k];
+        }
+        pixels[i] = value;
+      }
+    }
+  }
+
+  return pixels;
+}
@@ -0,0 +1,283 @@
+// MRMS product catalog
+// Products are plain data, so a deployment can add or change them in a JSON
+// file (RADAR_PRODUCTS_FILE, see loadProductCatalog) without code changes.
+//   name, description - shown in the product picker; `group` optionally
+//                       files the product under a heading there
+//   dataset           - the MRMS directory and file name (see dataSources.js
+//                       for the path pattern); `path` overrides the pattern
+//   parameter         - the GRIB2 category/number the file must hold
+//   units, range      - `range` is the span of physically valid values
+//   colorScale        - the name of one of COLOR_SCALES (colorScales.js) or a
+//                       table of its own; drives both the rendered tiles and
+//                       the frontend legend
+//   contourLevels     - default thresholds for /api/radar/contours
+//   stormTracking     - marks reflectivity products /api/storms can find cells
+//                       in, naming the product their echo tops are read from
+
+import { readFileSync } from 'fs';
+import { COLOR_SCALES, COLOR_SCALE_TYPES } from './colorScales.js';
+
+export const PRODUCT_DEFINITIONS = {
+  'rala': {
+    name: 'Reflectivity at Lowest Altitude',
+    group: 'Reflectivity',
+    dataset: 'ReflectivityAtLowestAltitude',
+    description: 'Radar reflectivity closest to ground level',
+    parameter: { category: 3, number: 53 },
+    units: 'dBZ',
+    range: { min: -30, max: 80 },
+    colorScale: 'reflectivity',
+    contourLevels: [20, 35, 50],
+    stormTracking: { echoTopsProduct: 'echo_tops' }
+  },
+  'composite': {
+    name: 'Composite Reflectivity',
+    group: 'Reflectivity',
+    dataset: 'MergedReflectivityQCComposite',
+    description: 'Maximum reflectivity across all altitudes',
+    parameter: { category: 10, number: 0 },
+    units: 'dBZ',
+    range: { min: -30, max: 80 },
+    colorScale: 'reflectivity',
+    contourLevels: [20, 35, 50],
+    stormTracking: { echoTopsProduct: 'echo_tops' }
+  },
+  'precip_rate': {
+    name: 'Precipitation Rate',
+    group: 'Precipitation',
+    dataset: 'PrecipRate',
+    description: 'Current precipitation rate (mm/hr)',
+    parameter: { category: 6, number: 1 },
+    units: 'mm/hr',
+    range: { min: 0, max: 500 },
+    colorScale: 'precip_rate',
+    contourLevels: [2.5, 10, 25]
+  },
+  'precip_flag': {
+    name: 'Precipitation Type',
+    group: 'Precipitation',
+    dataset: 'PrecipFlag',
+    description: 'Surface precipitation type (rain, snow, hail, convective or stratiform)',
+    parameter: { category: 6, number: 0 },
+    units: 'category',
+    range: { min: 0, max: 96 },
+    colorScale: 'precip_flag'
+  },
+  'qpe_01h': {
+    name: 'Precipitation 1 Hour',
+    group: 'Precipitation',
+    dataset: 'MultiSensor_QPE_01H_Pass2',
+    description: 'Multi-sensor (radar and gauge) precipitation over the past hour',
+    parameter: { category: 6, number: 37 },
+    units: 'mm',
+    range: { min: 0, max: 250 },
+    colorScale: 'qpe',
+    contourLevels: [2.5, 12.7, 25.4]
+  },
+  'qpe_03h': {
+    name: 'Precipitation 3 Hours',
+    group: 'Precipitation',
+    dataset: 'MultiSensor_QPE_03H_Pass2',
+    description: 'Multi-sensor (radar and gauge) precipitation over the past 3 hours',
+    parameter: { category: 6, number: 38 },
+    units: 'mm',
+    range: { min: 0, max: 500 },
+    colorScale: 'qpe',
+    contourLevels: [6.35, 25.4, 50.8]
+  },
+  'qpe_06h': {
+    name: 'Precipitation 6 Hours',
+    group: 'Precipitation',
+    dataset: 'MultiSensor_QPE_06H_Pass2',
+    description: 'Multi-sensor (radar and gauge) precipitation over the past 6 hours',
+    parameter: { category: 6, number: 39 },
+    units: 'mm',
+    range: { min: 0, max: 750 },
+    colorScale: 'qpe',
+    contourLevels: [12.7, 25.4, 76.2]
+  },
+  'qpe_24h': {
+    name: 'Precipitation 24 Hours',
+    group: 'Precipitation',
+    dataset: 'MultiSensor_QPE_24H_Pass2',
+    description: 'Multi-sensor (radar and gauge) precipitation over the past 24 hours',
+    parameter: { category: 6, number: 41 },
+    units: 'mm',
+    range: { min: 0, max: 1000 },
+    colorScale: 'qpe',
+    contourLevels: [25.4, 50.8, 101.6]
+  },
+  'qpe_72h': {
+    name: 'Precipitation 72 Hours',
+    group: 'Precipitation',
+    dataset: 'MultiSensor_QPE_72H_Pass2',
+    description: 'Multi-sensor (radar and gauge) precipitation over the past 72 hours',
+    parameter: { category: 6, number: 43 },
+    units: 'mm',
+    range: { min: 0, max: 1500 },
+    colorScale: 'qpe',
+    contourLevels: [25.4, 76.2, 152.4]
+  },
+  'echo_tops': {
+    name: 'Echo Tops',
+    group: 'Severe weather',
+    dataset: 'EchoTop_18',
+    description: 'Height of storm tops (18 dBZ threshold)',
+    parameter: { category: 3, number: 40 },
+    units: 'km',
+    range: { min: 0, max: 25 },
+    colorScale: 'echo_tops',
+    contourLevels: [5, 10, 15]
+  },
+  'mesh': {
+    name: 'Hail Size (MESH)',
+    group: 'Severe weather',
+    dataset: 'MESH',
+    description: 'Maximum Estimated Size of Hail right now',
+    parameter: { category: 3, number: 28 },
+    units: 'mm',
+    range: { min: 0, max: 200 },
+    colorScale: 'mesh',
+    contourLevels: [19.05, 25.4, 50.8]
+  },
+  'mesh_max_60min': {
+    name: 'Hail Swath 60 Minutes',
+    group: 'Severe weather',
+    dataset: 'MESH_Max_60min',
+    description: 'Largest estimated hail size over the past hour',
+    parameter: { category: 3, number: 30 },
+    units: 'mm',
+    range: { min: 0, max: 200 },
+    colorScale: 'mesh',
+    contourLevels: [19.05, 25.4, 50.8]
+  },
+  'rotation_60min': {
+    name: 'Rotation Track 60 Minutes',
+    group: 'Severe weather',
+    dataset: 'RotationTrack60min',
+    description: 'Strongest low-level (0-2 km) rotation over the past hour',
+    parameter: { category: 3, number: 3 },
+    units: '0.001/s',
+    range: { min: 0, max: 50 },
+    colorScale: 'rotation',
+    contourLevels: [6, 10, 15]
+  },
+  'rotation_1440min': {
+    name: 'Rotation Track 24 Hours',
+    group: 'Severe weather',
+    dataset: 'RotationTrack1440min',
+    description: 'Strongest low-level (0-2 km) rotation over the past day',
+    parameter: { category: 3, number: 7 },
+    units: '0.001/s',
+    range: { min: 0, max: 50 },
+    colorScale: 'rotation',
+    contourLevels: [6, 10, 15]
+  },
+  'lightning_probability': {
+    name: 'Lightning Probability',
+    group: 'Lightning',
+    dataset: 'LightningProbabilityNext30minGrid',
+    description: 'Chance of lightning in the next 30 minutes',
+    parameter: { category: 2, number: 4 },
+    units: '%',
+    range: { min: 0, max: 100 },
+    colorScale: 'probability',
+    contourLevels: [30, 50, 70]
+  }
+};
+
+export const MRMS_PRODUCTS = defineProducts(PRODUCT_DEFINITIONS);
+
+// The catalog to serve: the built-in products, or with `file` set, those
+// overlaid with the file's. The file is JSON of the form
+//   { "includeBuiltIn": true, "products": { "<id>": { ...definition } } }
+// where a definition replaces the built-in product of that id and `null`
+// removes it; with "includeBuiltIn": false only the file's products are used.
+export function loadProductCatalog(file) {
+  if (!file) return MRMS_PRODUCTS;
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read product catalog ${file}: ${error.message}`);
+  }
+  if (!isObject(config) || !isObject(config.products)) {
+    throw new Error(`Product catalog ${file} must be an object with a "products" object`);
+  }
+
+  const definitions = config.includeBuiltIn === false ? {} : { ...PRODUCT_DEFINITIONS };
+  for (const [id, definition] of Object.entries(config.products)) {
+    if (definition === null) delete definitions[id];
+    else definitions[id] = definition;
+  }
+
+  const products = defineProducts(definitions);
+  console.log(`[INFO] Loaded ${Object.keys(products).length} products from ${file}`);
+  return products;
+}
+
+// Check product definitions and resolve their colour scale names, throwing
+// on the first mistake so a bad catalog stops the server at startup
+export function defineProducts(definitions) {
+  const products = {};
+  for (const [id, definition] of Object.entries(definitions)) {
+    const fail = (message) => {
+      throw new Error(`Product "${id}": ${message}`);
+    };
+
+    if (!/^[a-z0-9_]+$/.test(id)) fail('id must be lowercase letters, digits and underscores');
+    if (!isObject(definition)) fail('definition must be an object');
+
+    const { name, dataset, parameter, units, range, colorScale, contourLevels, stormTracking } = definition;
+    for (const [field, value] of Object.entries({ name, dataset, units })) {
+      if (typeof value !== 'string' || value === '') fail(`${field} must be a non-empty string`);
+    }
+    if (!Number.isInteger(parameter?.category) || !Number.isInteger(parameter?.number)) {
+      fail('parameter must have whole-number category and number');
+    }
+    if (!Number.isFinite(range?.min) || !Number.isFinite(range?.max) || range.min >= range.max) {
+      fail('range must have numeric min and max, with min < max');
+    }
+    if (contourLevels !== undefined && !(Array.isArray(contourLevels) && contourLevels.every(Number.isFinite))) {
+      fail('contourLevels must be an array of numbers');
+    }
+    if (stormTracking !== undefined && !definitions[stormTracking?.echoTopsProduct]) {
+      fail('stormTracking.echoTopsProduct must name a product in the catalog');
+    }
+
+    const scale = typeof colorScale === 'string' ? COLOR_SCALES[colorScale] : colorScale;
+    if (!scale) {
+      fail(`colorScale must be one of ${Object.keys(COLOR_SCALES).join(', ')} or a colour table`);
+    }
+    const problem = checkColorScale(scale);
+    if (problem) fail(`colorScale ${problem}`);
+
+    products[id] = { ...definition, colorScale: scale };
+  }
+  return products;
+}
+
+function checkColorScale({ type, stops }) {
+  if (!COLOR_SCALE_TYPES.includes(type)) return `type must be one of ${COLOR_SCALE_TYPES.join(', ')}`;
+  if (!Array.isArray(stops) || stops.length === 0) return 'must have stops';
+
+  const isColor = (color) => Array.isArray(color) && color.length === 4
+    && color.every((channel) => Number.isInteger(channel) && channel >= 0 && channel <= 255);
+  for (const [index, stop] of stops.entries()) {
+    if (!Number.isFinite(stop?.value) || !isColor(stop.color)) {
+      return `stop ${index} must have a numeric value and an RGBA color of 0-255 integers`;
+    }
+    if (type === 'categorical' && !Number.isInteger(stop.value)) {
+      return `stop ${index} must have a whole-number value (category code)`;
+    }
+    if (index > 0 && stop.value <= stops[index - 1].value) {
+      return 'stops must be in increasing order of value';
+    }
+  }
+  return null;
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
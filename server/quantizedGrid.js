@@ -0,0 +1,95 @@
+// Compact one-byte-per-cell grids for rendering in the browser (runs in the
+// worker pool)
+// Values are quantised to a byte on a fixed step chosen from the product's
+// valid range, so the frontend can colour, filter and resample a frame itself
+// without asking the server again. The layout follows the `bin` export
+// (gridExport.js): uint32 header length, JSON header (padded to 4 bytes),
+// then one byte per cell, row-major from the north-west corner. The whole
+// payload is gzipped, which takes a mostly empty radar grid down to a small
+// fraction of its size.
+//   0      - no value (missing or masked)
+//   1      - outside radar coverage
+//   2..255 - value = offset + byte * scale
+
+import { gzipSync } from 'zlib';
+import { QUALITY } from './mrmsParser.js';
+
+export const MAX_GRID_STRIDE = 10;
+
+const CODE_MISSING = 0;
+const CODE_NO_COVERAGE = 1;
+const FIRST_VALUE_CODE = 2;
+const VALUE_CODES = 256 - FIRST_VALUE_CODE;
+
+// The finest 1/2/5 x 10^n step that fits the range into the value codes,
+// e.g. 0.5 dBZ for reflectivity's -30..80 (codes 2 to 222)
+export function quantizeStep(range) {
+  const span = range.max - range.min;
+  for (let exponent = -3; exponent <= 6; exponent++) {
+    for (const mantissa of [1, 2, 5]) {
+      const step = mantissa * 10 ** exponent;
+      if (span / step <= VALUE_CODES - 1) return Number(step.toPrecision(1));
+    }
+  }
+  throw new Error(`Range ${range.min}..${range.max} is too wide to quantise`);
+}
+
+// Quantise the grid `window` (from findGridWindow in gridQuery.js). With a
+// `stride` above 1 each block of stride x stride cells becomes one cell
+// holding the block's highest code, so light returns never hide a core and
+// any value beats no coverage, which beats no data.
+export function encodeQuantizedGrid(grid, { window, stride = 1, range, header }) {
+  const scale = quantizeStep(range);
+  const offset = range.min - FIRST_VALUE_CODE * scale;
+  const width = Math.ceil(window.nx / stride);
+  const height = Math.ceil(window.ny / stride);
+  const codes = new Uint8Array(width * height);
+
+  for (let j = 0; j < window.ny; j++) {
+    const start = (window.j0 + j) * grid.nx + window.i0;
+    const out = Math.floor(j / stride) * width;
+    for (let i = 0; i < window.nx; i++) {
+      const index = start + i;
+      const quality = grid.quality[index];
+      let code;
+      if (quality === QUALITY.VALID) {
+        const step = Math.round((grid.values[index] - offset) / scale);
+        code = Math.min(255, Math.max(FIRST_VALUE_CODE, step));
+      } else {
+        code = quality === QUALITY.NO_COVERAGE ? CODE_NO_COVERAGE : CODE_MISSING;
+      }
+      const cell = out + Math.floor(i / stride);
+      if (code > codes[cell]) codes[cell] = code;
+    }
+  }
+
+  let json = JSON.stringify({
+    ...header,
+    width,
+    height,
+    stride,
+    // Centre of the first (north-west) block and the block size, in degrees
+    la1: roundDegrees(window.la1 - ((stride - 1) / 2) * window.dy),
+    lo1: roundDegrees(window.lo1 + ((stride - 1) / 2) * window.dx),
+    dx: roundDegrees(window.dx * stride),
+    dy: roundDegrees(window.dy * stride),
+    encoding: {
+      dtype: 'uint8',
+      scale,
+      offset,
+      missing: CODE_MISSING,
+      noCoverage: CODE_NO_COVERAGE,
+      firstValue: FIRST_VALUE_CODE
+    }
+  });
+  json += ' '.repeat((4 - (json.length % 4)) % 4);
+  const headerBytes = Buffer.from(json);
+
+  const output = new Uint8Array(4 + headerBytes.length + codes.length);
+  new DataView(output.buffer).setUint32(0, headerBytes.length, true);
+  output.set(headerBytes, 4);
+  output.set(codes, 4 + headerBytes.length);
+  return gzipSync(output, { level: 6 });
+}
+
+const roundDegrees = (value) => Math.round(value * 1e6) / 1e6;
@@ -0,0 +1,173 @@
+// Radar processing pipeline: gunzip -> parse -> colourise
+// These functions run inside the worker pool (see radarWorker.js) so the
+// HTTP thread never blocks on a 24.5M-point grid.
+
+import { gunzipSync } from 'zlib';
+import sharp from 'sharp';
+import { parseMRMSGrib2, QUALITY } from './mrmsParser.js';
+import { MRMS_DISCIPLINE } from './mrmsTables.js';
+import { createColorMap, REFLECTIVITY_SCALE } from './colorScales.js';
+
+// How cells outside radar coverage are drawn: 'none', 'grey' or 'hatched'
+export const COVERAGE_STYLES = ['none', 'grey', 'hatched'];
+const TRANSPARENT = [0, 0, 0, 0];
+const NO_COVERAGE_GREY = [128, 128, 128, 110];
+const NO_COVERAGE_STRIPE = [96, 96, 96, 170];
+const HATCH_PERIOD = 32; // Grid cells between diagonal stripes
+const TILE_HATCH_PERIOD = 16; // Screen pixels between stripes on map tiles
+
+const getColorForNoCoverage = (x, y, style, period = HATCH_PERIOD) => {
+  if (style === 'grey') return NO_COVERAGE_GREY;
+  if (style === 'hatched') {
+    return (x + y) % period < period / 4 ? NO_COVERAGE_STRIPE : TRANSPARENT;
+  }
+  return TRANSPARENT;
+};
+
+// Colour for grid cell `index`; x/y position the no-coverage hatching
+const getColorForCell = (colorFor, values, quality, index, x, y, coverage, hatchPeriod) => {
+  if (quality[index] === QUALITY.VALID) return colorFor(values[index]);
+  if (quality[index] === QUALITY.NO_COVERAGE) return getColorForNoCoverage(x, y, coverage, hatchPeriod);
+  return TRANSPARENT; // Missing or masked by the bit map
+};
+
+const writePixel = (imageData, pixel, color) => {
+  const offset = pixel * 4;
+  imageData[offset] = color[0];     // R
+  imageData[offset + 1] = color[1]; // G
+  imageData[offset + 2] = color[2]; // B
+  imageData[offset + 3] = color[3]; // A
+};
+
+const TILE_SIZE = 256;
+
+// Parse a GRIB2 file, gzipped or not, checking it holds `product`.
+// The grid is backed by SharedArrayBuffers so it crosses threads without a copy.
+export function decodeRadarFile(productId, product, fileData) {
+  let decompressed = Buffer.from(fileData.buffer, fileData.byteOffset, fileData.byteLength);
+  if (decompressed[0] === 0x1f && decompressed[1] === 0x8b) {
+    console.log('[INFO] Decompressing gzip data...');
+    decompressed = gunzipSync(decompressed);
+    console.log('[INFO] Decompressed data size:', decompressed.length, 'bytes');
+  }
+
+  // Parse GRIB2 using custom MRMS parser
+  console.log('[INFO] Parsing GRIB2 data...');
+  const gribData = parseMRMSGrib2(decompressed, { sharedMemory: true });
+  console.log('[SUCCESS] GRIB2 parsed successfully');
+  console.log('[INFO] Grid info:', {
+    nx: gribData.nx,
+    ny: gribData.ny,
+    la1: gribData.la1,
+    lo1: gribData.lo1,
+    la2: gribData.la2,
+    lo2: gribData.lo2,
+    numberOfPoints: gribData.values.length
+  });
+
+  // Make sure the file holds the product we asked for
+  const { discipline, parameterCategory, parameterNumber } = gribData.product;
+  if (
+    discipline !== MRMS_DISCIPLINE ||
+    parameterCategory !== product.parameter.category ||
+    parameterNumber !== product.parameter.number
+  ) {
+    const errorMsg = `Downloaded file holds parameter ${discipline}/${parameterCategory}/${parameterNumber}, ` +
+      `expected ${MRMS_DISCIPLINE}/${product.parameter.category}/${product.parameter.number} for ${productId}`;
+    console.error(`[ERROR] ${errorMsg}`);
+    throw new Error(errorMsg);
+  }
+
+  return gribData;
+}
+
+// Generate radar image from GRIB data
+export async function generateRadarImage(gribMessage, { coverage = 'none', colorScale = REFLECTIVITY_SCALE } = {}) {
+  const { nx, ny, values, quality } = gribMessage;
+  const colorFor = createColorMap(colorScale);
+
+  if (!nx || !ny || !values) {
+    throw new Error('Invalid GRIB message structure');
+  }
+
+  console.log(`Generating image: ${nx}x${ny} pixels, ${values.length} values`);
+
+  // Create RGBA buffer
+  const imageData = Buffer.alloc(nx * ny * 4);
+
+  for (let i = 0; i < values.length; i++) {
+    writePixel(imageData, i, getColorForCell(colorFor, values, quality, i, i % nx, Math.floor(i / nx), coverage));
+  }
+
+  // Convert to PNG using sharp
+  const pngBuffer = await sharp(imageData, {
+    raw: {
+      width: nx,
+      height: ny,
+      channels: 4
+    }
+  })
+  .png()
+  .toBuffer();
+
+  return pngBuffer;
+}
+
+// Render one 256px Web Mercator (XYZ) tile by nearest-neighbour resampling
+// of the equirectangular grid. Rows are assumed to run north to south.
+export async function renderRadarTile(gribMessage, { z, x, y, coverage = 'none', colorScale = REFLECTIVITY_SCALE }) {
+  const { nx, ny, la1, lo1, dx, dy, values, quality } = gribMessage;
+  const colorFor = createColorMap(colorScale);
+  const worldSize = TILE_SIZE * Math.pow(2, z);
+  const west = ((lo1 % 360) + 360) % 360;
+
+  // Every pixel in a column shares a longitude and every pixel in a row
+  // shares a latitude, so map each to a grid index once (-1 = off grid)
+  const columns = new Int32Array(TILE_SIZE);
+  const rows = new Int32Array(TILE_SIZE);
+
+  for (let p = 0; p < TILE_SIZE; p++) {
+    const lon = ((x * TILE_SIZE + p + 0.5) / worldSize) * 360 - 180;
+    const i = Math.round((((lon - west) % 360 + 360) % 360) / dx);
+    columns[p] = i < nx ? i : -1;
+
+    const mercatorY = Math.PI * (1 - (2 * (y * TILE_SIZE + p + 0.5)) / worldSize);
+    const lat = (Math.atan(Math.sinh(mercatorY)) * 180) / Math.PI;
+    const j = Math.round((la1 - lat) / dy);
+    rows[p] = j >= 0 && j < ny ? j : -1;
+  }
+
+  const imageData = Buffer.alloc(TILE_SIZE * TILE_SIZE * 4);
+
+  for (let py = 0; py < TILE_SIZE; py++) {
+    if (rows[py] === -1) continue;
+    const rowOffset = rows[py] * nx;
+
+    for (let px = 0; px < TILE_SIZE; px++) {
+      if (columns[px] === -1) continue;
+
+      // Hatch in global pixel space so stripes line up across tiles
+      const color = getColorForCell(
+        colorFor,
+        values,
+        quality,
+        rowOffset + columns[px],
+        x * TILE_SIZE + px,
+        y * TILE_SIZE + py,
+        coverage,
+        TILE_HATCH_PERIOD
+      );
+      writePixel(imageData, py * TILE_SIZE + px, color);
+    }
+  }
+
+  return sharp(imageData, {
+    raw: {
+      width: TILE_SIZE,
+      height: TILE_SIZE,
+      channels: 4
+    }
+  })
+  .png()
+  .toBuffer();
+}
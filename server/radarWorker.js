@@ -0,0 +1,38 @@
+// Worker thread entry point for the radar pipeline (see workerPool.js)
+
+import { parentPort } from 'worker_threads';
+import { decodeRadarFile, generateRadarImage, renderRadarTile } from './radarPipeline.js';
+import { exportGrid } from './gridExport.js';
+import { traceContours } from './contours.js';
+import { findStormCells } from './stormCells.js';
+import { computeRegionStats } from './regionStats.js';
+import { encodeQuantizedGrid } from './quantizedGrid.js';
+import { findNearestEcho } from './nearestEcho.js';
+import { measureWatches } from './watchList.js';
+
+const TASKS = {
+  decode: ({ productId, product, source }) => decodeRadarFile(productId, product, source),
+  render: ({ grid, options }) => generateRadarImage(grid, options),
+  tile: ({ grid, options }) => renderRadarTile(grid, options),
+  export: ({ grid, options }) => exportGrid(grid, options),
+  contours: ({ grid, options }) => traceContours(grid, options),
+  storms: ({ grid, options }) => findStormCells(grid, options),
+  stats: ({ grid, options }) => computeRegionStats(grid, options),
+  quantize: ({ grid, options }) => encodeQuantizedGrid(grid, options),
+  nearest: ({ grid, options }) => findNearestEcho(grid, options),
+  watches: ({ grid, geometries }) => measureWatches(grid, geometries)
+};
+
+parentPort.on('message', async ({ id, type, payload }) => {
+  try {
+    const task = TASKS[type];
+    if (!task) {
+      throw new Error(`Unknown worker task: ${type}`);
+    }
+
+    const result = await task(payload);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: { message: error.message, stack: error.stack } });
+  }
+});
@@ -0,0 +1,55 @@
+// Shared worker pool for the radar pipeline
+// Size defaults to one less than the CPU count; override with RADAR_WORKERS.
+
+import { createWorkerPool } from './workerPool.js';
+
+const size = Number(process.env.RADAR_WORKERS);
+const pool = createWorkerPool(new URL('./radarWorker.js', import.meta.url), size > 0 ? { size } : {});
+
+export function decodeRadarFileInWorker(productId, product, source) {
+  return pool.run('decode', { productId, product, source });
+}
+
+export async function generateRadarImageInWorker(grid, options) {
+  return toBuffer(await pool.run('render', { grid, options }));
+}
+
+export async function renderRadarTileInWorker(grid, options) {
+  return toBuffer(await pool.run('tile', { grid, options }));
+}
+
+export async function exportGridInWorker(grid, options) {
+  return toBuffer(await pool.run('export', { grid, options }));
+}
+
+// Resolves to the GeoJSON text
+export function traceContoursInWorker(grid, options) {
+  return pool.run('contours', { grid, options });
+}
+
+export function findStormCellsInWorker(grid, options) {
+  return pool.run('storms', { grid, options });
+}
+
+export function computeRegionStatsInWorker(grid, options) {
+  return pool.run('stats', { grid, options });
+}
+
+// Resolves to the gzipped grid
+export async function encodeQuantizedGridInWorker(grid, options) {
+  return toBuffer(await pool.run('quantize', { grid, options }));
+}
+
+export function findNearestEchoInWorker(grid, options) {
+  return pool.run('nearest', { grid, options });
+}
+
+// Resolves to the value for each watch geometry
+export function measureWatchesInWorker(grid, geometries) {
+  return pool.run('watches', { grid, geometries });
+}
+
+// Structured clone turns a Buffer into a plain Uint8Array
+function toBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
@@ -0,0 +1,175 @@
+// Summary statistics of a product over a region (runs in the worker pool)
+// The region is a grid window (see findGridWindow in gridQuery.js) or polygon
+// rings. Every statistic is weighted by cell area, which shrinks with the
+// cosine of latitude on the lat/lon grid, so "fraction above 35 dBZ" means a
+// fraction of the ground covered rather than of the cells counted. Fractions
+// are relative to the area with valid data. The histogram has even bins over
+// the product range, or for a categorical product one entry per category.
+
+import { forEachCellInPolygon } from './gridQuery.js';
+import { QUALITY } from './mrmsParser.js';
+
+export const DEFAULT_PERCENTILES = [10, 25, 50, 75, 90, 95, 99];
+export const DEFAULT_HISTOGRAM_BIN_LIMIT = 25; // the default bin width keeps to this many bins
+export const MAX_STAT_THRESHOLDS = 10;
+export const MAX_PERCENTILES = 20;
+export const MAX_HISTOGRAM_BINS = 200;
+
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LON = 111.32; // at the equator
+// Percentiles are read from a histogram this fine over the product range
+// instead of sorting every value of a large region
+const PERCENTILE_BINS = 10000;
+
+export function computeRegionStats(grid, {
+  window = null,
+  polygon = null,
+  range,
+  thresholds = [],
+  percentiles = DEFAULT_PERCENTILES,
+  binWidth = histogramBinWidth(range),
+  categories = null
+}) {
+  const { values, quality, dx, dy } = grid;
+  const span = range.max - range.min;
+  const bins = categories ? 0 : Math.max(1, Math.ceil(span / binWidth - 1e-9));
+  const fine = new Float64Array(PERCENTILE_BINS);
+  const histogram = new Float64Array(bins);
+  const histogramCells = new Uint32Array(bins);
+  const categoryTotals = new Map(); // category code -> { area, cells }
+  const above = new Float64Array(thresholds.length);
+
+  let cells = 0;
+  let validCells = 0;
+  let area = 0;
+  let validArea = 0;
+  let weightedSum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  // Rows share a latitude, so cell area is worked out once per row
+  let areaLat = NaN;
+  let cellArea = 0;
+
+  const visit = (index, lat) => {
+    if (lat !== areaLat) {
+      areaLat = lat;
+      cellArea = dx * KM_PER_DEGREE_LON * Math.cos((lat * Math.PI) / 180) * dy * KM_PER_DEGREE_LAT;
+    }
+    cells++;
+    area += cellArea;
+    if (quality[index] !== QUALITY.VALID) return;
+
+    const value = values[index];
+    validCells++;
+    validArea += cellArea;
+    weightedSum += value * cellArea;
+    if (value < min) min = value;
+    if (value > max) max = value;
+
+    // Values outside the product range land in the end bins
+    const position = (value - range.min) / span;
+    fine[clampIndex(Math.floor(position * PERCENTILE_BINS), PERCENTILE_BINS)] += cellArea;
+    if (categories) {
+      // Packed GRIB values come back as e.g. 0.99999994 for category 1
+      const category = Math.round(value);
+      const total = categoryTotals.get(category);
+      if (total) {
+        total.area += cellArea;
+        total.cells++;
+      } else {
+        categoryTotals.set(category, { area: cellArea, cells: 1 });
+      }
+    } else {
+      const bin = clampIndex(Math.floor((value - range.min) / binWidth), bins);
+      histogram[bin] += cellArea;
+      histogramCells[bin]++;
+    }
+
+    for (let t = 0; t < thresholds.length; t++) {
+      if (value >= thresholds[t]) above[t] += cellArea;
+    }
+  };
+
+  if (polygon) {
+    forEachCellInPolygon(grid, polygon, visit);
+  } else {
+    for (let row = 0; row < window.ny; row++) {
+      const lat = window.la1 - row * window.dy;
+      const start = (window.j0 + row) * grid.nx + window.i0;
+      for (let column = 0; column < window.nx; column++) {
+        visit(start + column, lat);
+      }
+    }
+  }
+
+  const hasData = validArea > 0;
+
+  return {
+    cells,
+    validCells,
+    areaKm2: round(area, 1),
+    validAreaKm2: round(validArea, 1),
+    coverage: area > 0 ? round(validArea / area, 4) : 0,
+    min: hasData ? round(min, 2) : null,
+    max: hasData ? round(max, 2) : null,
+    mean: hasData ? round(weightedSum / validArea, 2) : null,
+    percentiles: Object.fromEntries(percentiles.map((percentile) => [
+      `p${percentile}`,
+      hasData ? round(weightedPercentile(fine, validArea, percentile, range, min, max), 2) : null
+    ])),
+    thresholds: thresholds.map((threshold, t) => ({
+      threshold,
+      areaKm2: round(above[t], 1),
+      fraction: hasData ? round(above[t] / validArea, 4) : 0
+    })),
+    histogram: categories
+      ? [...categoryTotals].sort(([a], [b]) => a - b).map(([value, total]) => ({
+        value,
+        label: categories.stops.find((stop) => stop.value === value)?.label ?? categories.emptyLabel ?? null,
+        cells: total.cells,
+        areaKm2: round(total.area, 1),
+        fraction: round(total.area / validArea, 4)
+      }))
+      : Array.from(histogram, (binArea, bin) => ({
+        from: round(range.min + bin * binWidth, 4),
+        to: round(Math.min(range.max, range.min + (bin + 1) * binWidth), 4),
+        cells: histogramCells[bin],
+        areaKm2: round(binArea, 1),
+        fraction: hasData ? round(binArea / validArea, 4) : 0
+      }))
+  };
+}
+
+// The finest 1/2/5 x 10^n bin width that covers `range` in at most
+// DEFAULT_HISTOGRAM_BIN_LIMIT bins, e.g. 5 dBZ for reflectivity's -30..80
+// and 20 mm/hr for precipitation rate's 0..500
+export function histogramBinWidth(range) {
+  const span = range.max - range.min;
+  for (let exponent = -3; exponent <= 6; exponent++) {
+    for (const mantissa of [1, 2, 5]) {
+      const width = mantissa * 10 ** exponent;
+      if (span / width <= DEFAULT_HISTOGRAM_BIN_LIMIT) return Number(width.toPrecision(1));
+    }
+  }
+  return span / DEFAULT_HISTOGRAM_BIN_LIMIT;
+}
+
+// Walk the cumulative area to the percentile and interpolate inside its bin
+function weightedPercentile(fine, total, percentile, range, min, max) {
+  const target = (percentile / 100) * total;
+  const width = (range.max - range.min) / fine.length;
+  let cumulative = 0;
+  for (let bin = 0; bin < fine.length; bin++) {
+    if (fine[bin] > 0 && cumulative + fine[bin] >= target) {
+      const value = range.min + (bin + (target - cumulative) / fine[bin]) * width;
+      return Math.min(max, Math.max(min, value));
+    }
+    cumulative += fine[bin];
+  }
+  return max;
+}
+
+const clampIndex = (index, length) => Math.min(length - 1, Math.max(0, index));
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
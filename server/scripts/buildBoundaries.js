@@ -0,0 +1,41 @@
+// Build the state and county boundary overlays in server/reference
+// From the us-atlas TopoJSON (Census Bureau cartographic boundaries, already
+// simplified), meshed so each shared border is drawn once and rounded to
+// about 100 m. The output is committed; rerun after upgrading us-atlas.
+// Usage: npm run reference
+
+import { readFileSync, writeFileSync } from 'fs';
+import { createRequire } from 'module';
+import { join } from 'path';
+import { mesh } from 'topojson-client';
+import { REFERENCE_DIR } from '../mapLayers.js';
+
+const require = createRequire(import.meta.url);
+const DIGITS = 3;
+
+const BOUNDARIES = [
+  { file: 'states.geojson', topology: 'us-atlas/states-10m.json', object: 'states', name: 'State boundaries' },
+  { file: 'counties.geojson', topology: 'us-atlas/counties-10m.json', object: 'counties', name: 'County boundaries' }
+];
+
+const round = (value) => Math.round(value * 10 ** DIGITS) / 10 ** DIGITS;
+
+for (const { file, topology: path, object, name } of BOUNDARIES) {
+  const topology = JSON.parse(readFileSync(require.resolve(path), 'utf8'));
+  const lines = mesh(topology, topology.objects[object]);
+  const geojson = {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      properties: { name, source: 'US Census Bureau cartographic boundaries via us-atlas' },
+      geometry: {
+        type: 'MultiLineString',
+        coordinates: lines.coordinates.map((line) => line.map(([lon, lat]) => [round(lon), round(lat)]))
+      }
+    }]
+  };
+
+  const json = JSON.stringify(geojson);
+  writeFileSync(join(REFERENCE_DIR, file), json);
+  console.log(`[SUCCESS] Wrote ${file} (${lines.coordinates.length} lines, ${Math.round(json.length / 1024)} KB)`);
+}
@@ -0,0 +1,172 @@
+// Storm cell identification and tracking
+// A cell is a connected region of grid cells at or above a reflectivity
+// threshold. findStormCells runs in the worker pool (it scans the whole grid);
+// trackStormCells matches the cells of two frames to estimate their motion.
+
+import { toSignedLongitude } from './gridQuery.js';
+
+export const DEFAULT_STORM_THRESHOLD = 40; // dBZ
+export const DEFAULT_MIN_CELL_AREA = 20; // km²
+
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LON = 111.32; // at the equator
+const MAX_STORM_SPEED = 120; // km/h; matches implying more are rejected
+const MAX_CENTROID_SHIFT = 25; // km allowed on top for cells changing shape
+const FORECAST_MINUTES = [30, 60];
+
+// Connected regions (8-connectivity) of values >= threshold covering at least
+// minArea km², largest first and numbered from 1. With `echoTops` (a decoded echo_tops grid) each
+// cell also gets the highest echo top found inside it.
+export function findStormCells(grid, { threshold = DEFAULT_STORM_THRESHOLD, minArea = DEFAULT_MIN_CELL_AREA, echoTops = null }) {
+  const { nx, ny, la1, lo1, dx, dy, values } = grid;
+  const west = toSignedLongitude(lo1);
+  const visited = new Uint8Array(nx * ny);
+  const stack = [];
+  const cells = [];
+
+  for (let start = 0; start < values.length; start++) {
+    if (visited[start] || !(values[start] >= threshold)) continue;
+
+    let area = 0;
+    let sumLat = 0;
+    let sumLon = 0;
+    let maxValue = -Infinity;
+    let maxIndex = start;
+    let echoTop = null;
+    let minI = nx;
+    let maxI = 0;
+    let minJ = ny;
+    let maxJ = 0;
+
+    stack.push(start);
+    visited[start] = 1;
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const i = index % nx;
+      const j = (index - i) / nx;
+      const lat = la1 - j * dy;
+      const lon = west + i * dx;
+      const cellArea = dx * KM_PER_DEGREE_LON * Math.cos((lat * Math.PI) / 180) * dy * KM_PER_DEGREE_LAT;
+
+      area += cellArea;
+      sumLat += lat * cellArea;
+      sumLon += lon * cellArea;
+      if (values[index] > maxValue) {
+        maxValue = values[index];
+        maxIndex = index;
+      }
+      if (i < minI) minI = i;
+      if (i > maxI) maxI = i;
+      if (j < minJ) minJ = j;
+      if (j > maxJ) maxJ = j;
+      if (echoTops) {
+        const height = sampleGrid(echoTops, lat, lon);
+        if (height > (echoTop ?? -Infinity)) echoTop = height;
+      }
+
+      for (let dj = -1; dj <= 1; dj++) {
+        const nj = j + dj;
+        if (nj < 0 || nj >= ny) continue;
+        for (let di = -1; di <= 1; di++) {
+          const ni = i + di;
+          if (ni < 0 || ni >= nx) continue;
+          const neighbour = nj * nx + ni;
+          if (!visited[neighbour] && values[neighbour] >= threshold) {
+            visited[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    if (area < minArea) continue;
+
+    const peakI = maxIndex % nx;
+    cells.push({
+      lat: round(sumLat / area, 4),
+      lon: round(sumLon / area, 4),
+      areaKm2: round(area, 1),
+      maxDbz: round(maxValue, 1),
+      maxAt: { lat: round(la1 - ((maxIndex - peakI) / nx) * dy, 4), lon: round(west + peakI * dx, 4) },
+      echoTopKm: echoTop === null ? null : round(echoTop, 1),
+      bbox: [round(west + minI * dx, 4), round(la1 - maxJ * dy, 4), round(west + maxI * dx, 4), round(la1 - minJ * dy, 4)]
+    });
+  }
+
+  return cells
+    .sort((a, b) => b.areaKm2 - a.areaKm2)
+    .map((cell, index) => ({ id: index + 1, ...cell }));
+}
+
+// Value of the nearest cell of another grid, or null off-grid / without data
+function sampleGrid(grid, lat, lon) {
+  const i = Math.round((lon - toSignedLongitude(grid.lo1)) / grid.dx);
+  const j = Math.round((grid.la1 - lat) / grid.dy);
+  if (i < 0 || j < 0 || i >= grid.nx || j >= grid.ny) return null;
+  const value = grid.values[j * grid.nx + i];
+  return Number.isNaN(value) ? null : value;
+}
+
+// Match `cells` (valid at `time`, ms) to `previousCells` (valid at
+// `previousTime`) by nearest centroid, closest pairs first. Matched cells get
+// a motion vector and projected positions; unmatched ones get null motion.
+export function trackStormCells(cells, time, previousCells, previousTime) {
+  const hours = (time - previousTime) / 3600000;
+  const pairs = [];
+
+  if (previousCells && hours > 0) {
+    cells.forEach((cell, index) => {
+      previousCells.forEach((previous, previousIndex) => {
+        const distance = distanceKm(previous, cell);
+        // Allow for the centroid shifting as the cell grows or splits
+        if (distance <= MAX_STORM_SPEED * hours + Math.min(Math.sqrt(cell.areaKm2), MAX_CENTROID_SHIFT)) {
+          pairs.push({ index, previousIndex, distance });
+        }
+      });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+  }
+
+  const matches = new Map(); // cell index -> previous cell
+  const used = new Set();
+  for (const { index, previousIndex } of pairs) {
+    if (matches.has(index) || used.has(previousIndex)) continue;
+    matches.set(index, previousCells[previousIndex]);
+    used.add(previousIndex);
+  }
+
+  return cells.map((cell, index) => {
+    const previous = matches.get(index);
+    if (!previous) {
+      return { ...cell, motion: null, forecast: [] };
+    }
+
+    // Degrees per hour, then km/h and the bearing the cell is moving toward
+    const latRate = (cell.lat - previous.lat) / hours;
+    const lonRate = (cell.lon - previous.lon) / hours;
+    const northKmh = latRate * KM_PER_DEGREE_LAT;
+    const eastKmh = lonRate * KM_PER_DEGREE_LON * Math.cos((cell.lat * Math.PI) / 180);
+
+    return {
+      ...cell,
+      motion: {
+        speedKmh: round(Math.hypot(northKmh, eastKmh), 1),
+        directionDeg: round((((Math.atan2(eastKmh, northKmh) * 180) / Math.PI) + 360) % 360, 0)
+      },
+      forecast: FORECAST_MINUTES.map((minutes) => ({
+        minutes,
+        lat: round(cell.lat + (latRate * minutes) / 60, 4),
+        lon: round(cell.lon + (lonRate * minutes) / 60, 4)
+      }))
+    };
+  });
+}
+
+function distanceKm(a, b) {
+  const meanLat = ((a.lat + b.lat) / 2) * (Math.PI / 180);
+  const north = (b.lat - a.lat) * KM_PER_DEGREE_LAT;
+  const east = (b.lon - a.lon) * KM_PER_DEGREE_LON * Math.cos(meanLat);
+  return Math.hypot(north, east);
+}
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
@@ -0,0 +1,325 @@
+// Route tests against the shared app, fed by a stubbed data source
+// Run with `npm test`. The stub serves small generated GRIB2 files (see
+// gribFixture.js) and answers conditional requests the way NOAA does, so the
+// caching, archiving and rendering paths all run for real.
+
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createApp } from '../app.js';
+import { encodeGrib2, MISSING, NO_COVERAGE } from './gribFixture.js';
+
+// 20 x 10 cells of 0.5 degrees from (40, -100): light returns everywhere, a
+// core at (39, -98) and the south-east corner without data
+const GRID = { nx: 20, ny: 10, la1: 40, lo1: 260, dx: 0.5, dy: 0.5 };
+const CORE = { lat: 39, lon: -98 };
+const FRAME_TIMES = ['2024-05-01T12:00:00.000Z', '2024-05-01T12:02:00.000Z'];
+const CORE_VALUES = [45, 50];
+
+function reflectivityFile(frame) {
+  const values = new Array(GRID.nx * GRID.ny).fill(10);
+  values[2 * GRID.nx + 4] = CORE_VALUES[frame];
+  values[GRID.nx * GRID.ny - 1] = MISSING;
+  values[GRID.nx * GRID.ny - 2] = NO_COVERAGE;
+  return encodeGrib2({
+    ...GRID,
+    values,
+    parameter: { category: 3, number: 53 },
+    validTime: FRAME_TIMES[frame]
+  });
+}
+
+// Serves the current frame, or notModified when the caller already has it
+function createStubSource() {
+  const files = FRAME_TIMES.map((time, frame) => reflectivityFile(frame));
+  const source = {
+    frame: 0,
+    requests: [],
+    async fetchLatest(product, validators) {
+      source.requests.push({ dataset: product.dataset, validators });
+      const etag = `"frame-${source.frame}"`;
+      if (validators?.etag === etag) {
+        return { notModified: true };
+      }
+      return { bytes: files[source.frame], validators: { etag } };
+    }
+  };
+  return source;
+}
+
+describe('radar API', () => {
+  const source = createStubSource();
+  let server;
+  let baseUrl;
+
+  const get = (path, headers = {}) => fetch(`${baseUrl}${path}`, { headers });
+  const getJson = async (path) => {
+    const response = await get(path);
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    // The routes log every request
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    const app = createApp({
+      dataSource: source,
+      // Revalidate on every request, so a new stub frame shows up at once
+      updateIntervalMs: 0,
+      recheckMs: 0,
+      cacheDir: null,
+      watchesFile: null
+    });
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  test('GET /api/radar/latest describes the latest frame', async () => {
+    const { status, body } = await getJson('/api/radar/latest');
+
+    assert.equal(status, 200);
+    assert.equal(body.product, 'rala');
+    assert.equal(body.validTime, FRAME_TIMES[0]);
+    assert.equal(body.parameter.units, 'dBZ');
+    assert.equal(body.stale, true);
+    assert.deepEqual(
+      [body.metadata.nx, body.metadata.ny],
+      [GRID.nx, GRID.ny]
+    );
+  });
+
+  test('an unchanged frame is revalidated with its validators, not downloaded again', async () => {
+    const before = source.requests.length;
+    const { status, body } = await getJson('/api/radar/latest');
+
+    assert.equal(status, 200);
+    assert.equal(body.validTime, FRAME_TIMES[0]);
+    const request = source.requests[before];
+    assert.equal(request.dataset, 'ReflectivityAtLowestAltitude');
+    assert.deepEqual(request.validators, { etag: '"frame-0"' });
+  });
+
+  test('GET /api/radar/point reads the nearest cell', async () => {
+    const { status, body } = await getJson(`/api/radar/point?lat=${CORE.lat}&lon=${CORE.lon}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.value, CORE_VALUES[0]);
+    assert.equal(body.quality, 'valid');
+    assert.equal(body.units, 'dBZ');
+    assert.deepEqual(body.grid, { i: 4, j: 2, lat: CORE.lat, lon: CORE.lon });
+  });
+
+  test('GET /api/radar/point reports cells without data', async () => {
+    const { body: missing } = await getJson('/api/radar/point?lat=35.5&lon=-90.5');
+    assert.equal(missing.quality, 'missing');
+    assert.equal(missing.value, null);
+
+    const { body: uncovered } = await getJson('/api/radar/point?lat=35.5&lon=-91');
+    assert.equal(uncovered.quality, 'no_coverage');
+  });
+
+  test('GET /api/radar/point rejects bad points', async () => {
+    assert.equal((await getJson('/api/radar/point?lat=north&lon=-98')).status, 400);
+    assert.equal((await getJson('/api/radar/point?lat=20&lon=-98')).status, 404);
+  });
+
+  test('a new frame replaces the latest and is archived', async () => {
+    source.frame = 1;
+
+    const latest = await getJson('/api/radar/latest');
+    assert.equal(latest.body.validTime, FRAME_TIMES[1]);
+
+    const { status, body } = await getJson('/api/radar/frames');
+    assert.equal(status, 200);
+    assert.equal(body.latest, FRAME_TIMES[1]);
+    assert.deepEqual(body.frames.map((frame) => frame.time), FRAME_TIMES);
+  });
+
+  test('GET /api/radar/point reads an archived frame by time', async () => {
+    const latest = await getJson(`/api/radar/point?lat=${CORE.lat}&lon=${CORE.lon}`);
+    assert.equal(latest.body.value, CORE_VALUES[1]);
+
+    const archived = await getJson(`/api/radar/point?lat=${CORE.lat}&lon=${CORE.lon}&time=${FRAME_TIMES[0]}`);
+    assert.equal(archived.status, 200);
+    assert.equal(archived.body.value, CORE_VALUES[0]);
+    assert.equal(archived.body.validTime, FRAME_TIMES[0]);
+
+    assert.equal((await getJson(`/api/radar/point?lat=${CORE.lat}&lon=${CORE.lon}&time=2024-05-01T11:00:00.000Z`)).status, 404);
+    assert.equal((await getJson(`/api/radar/point?lat=${CORE.lat}&lon=${CORE.lon}&time=yesterday`)).status, 400);
+  });
+
+  test('GET /api/radar/contours outlines a one-cell core', async () => {
+    const { status, body } = await getJson('/api/radar/contours?levels=45');
+
+    assert.equal(status, 200);
+    const [feature] = body.features;
+    assert.equal(feature.properties.level, 45);
+    assert.equal(feature.geometry.coordinates.length, 1);
+    const [ring] = feature.geometry.coordinates[0];
+    assert.ok(ring.length >= 4);
+    assert.ok(ring.every(([lon, lat]) => Math.abs(lon - CORE.lon) < GRID.dx && Math.abs(lat - CORE.lat) < GRID.dy));
+  });
+
+  test('GET /api/radar/tiles renders a PNG tile', async () => {
+    const response = await get('/api/radar/tiles/rala/3/1/2.png');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.ok(response.headers.get('etag'));
+    const bytes = Buffer.from(await response.arrayBuffer());
+    assert.deepEqual([...bytes.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  });
+
+  test('GET /api/radar/tiles answers a matching ETag with 304', async () => {
+    const first = await get('/api/radar/tiles/rala/3/1/2.png');
+    const etag = first.headers.get('etag');
+    await first.arrayBuffer();
+
+    // fetch marks conditional requests no-cache, which Express never treats as fresh
+    const revalidated = await get('/api/radar/tiles/rala/3/1/2.png', {
+      'If-None-Match': etag,
+      'Cache-Control': 'max-age=0'
+    });
+    assert.equal(revalidated.status, 304);
+    assert.equal(revalidated.headers.get('cache-control'), 'public, max-age=120');
+
+    // A tile of another frame has another ETag
+    const archived = await get(`/api/radar/tiles/rala/3/1/2.png?time=${FRAME_TIMES[0]}`);
+    assert.equal(archived.status, 200);
+    assert.notEqual(archived.headers.get('etag'), etag);
+    assert.equal(archived.headers.get('cache-control'), 'public, max-age=86400, immutable');
+    await archived.arrayBuffer();
+  });
+
+  test('GET /api/radar/tiles rejects bad tile addresses', async () => {
+    assert.equal((await getJson('/api/radar/tiles/rala/99/0/0.png')).status, 400);
+    assert.equal((await getJson('/api/radar/tiles/rala/2/9/0.png')).status, 400);
+  });
+
+  test('GET /api/radar/stream subscribes to the default product unless told otherwise', async () => {
+    const readyEvent = async (path) => {
+      const controller = new AbortController();
+      const response = await fetch(`${baseUrl}${path}`, { signal: controller.signal });
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let text = '';
+      while (!text.includes('event: ready')) {
+        text += (await reader.read()).value;
+      }
+      controller.abort();
+      return JSON.parse(text.split('event: ready\ndata: ')[1].split('\n')[0]);
+    };
+
+    assert.deepEqual(await readyEvent('/api/radar/stream'), { products: ['rala'] });
+    assert.deepEqual(await readyEvent('/api/radar/stream?product=rala,rala'), { products: ['rala'] });
+    assert.equal((await getJson('/api/radar/stream?product=rala,nope')).status, 400);
+  });
+
+  test('GET /api/map/reference serves the shipped boundary overlays', async () => {
+    const { body: layers } = await getJson('/api/map/layers');
+    assert.deepEqual(layers.overlays.map((overlay) => overlay.id), ['states', 'counties', 'cities']);
+
+    for (const id of ['states', 'counties']) {
+      const { status, body } = await getJson(`/api/map/reference/${id}`);
+      assert.equal(status, 200, id);
+      assert.equal(body.features[0].geometry.type, 'MultiLineString', id);
+    }
+  });
+
+  test('POST /api/radar/stats answers a malformed body with a JSON 400', async () => {
+    const response = await fetch(`${baseUrl}/api/radar/stats`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"product": "rala", "bbox": ['
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), {
+      error: 'Invalid request body',
+      message: 'Request body must be valid JSON'
+    });
+  });
+
+  test('unknown products get a 404 from every product route', async () => {
+    const routes = [
+      '/api/radar/latest?product=nope',
+      '/api/radar/image?product=nope',
+      '/api/radar/frames?product=nope',
+      '/api/radar/point?product=nope&lat=39&lon=-98',
+      '/api/radar/nearest?product=nope&lat=39&lon=-98',
+      '/api/radar/grid?product=nope',
+      '/api/radar/export?product=nope',
+      '/api/radar/contours?product=nope',
+      '/api/radar/tiles/nope/0/0/0.png',
+      '/api/storms?product=nope'
+    ];
+    for (const route of routes) {
+      const { status, body } = await getJson(route);
+      assert.equal(status, 404, route);
+      assert.deepEqual(body, { error: 'Unknown product', message: 'Unknown product: nope' }, route);
+    }
+
+    const stats = await fetch(`${baseUrl}/api/radar/stats`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ product: 'nope', bbox: [-100, 35, -95, 40] })
+    });
+    assert.equal(stats.status, 404);
+    assert.deepEqual(await stats.json(), { error: 'Unknown product', message: 'Unknown product: nope' });
+    // Nothing was asked of the data source for them
+    assert.ok(source.requests.every((request) => request.dataset === 'ReflectivityAtLowestAltitude'));
+  });
+});
+
+describe('disk cache', () => {
+  const servers = [];
+  let cacheDir;
+
+  const startApp = async (source) => {
+    const app = createApp({ dataSource: source, recheckMs: 60 * 1000, cacheDir, watchesFile: null });
+    const server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    servers.push(server);
+    const getJson = async (path) => (await fetch(`http://127.0.0.1:${server.address().port}${path}`)).json();
+    return { server, getJson };
+  };
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    cacheDir = await mkdtemp(join(tmpdir(), 'radar-cache-'));
+  });
+
+  after(async () => {
+    servers.forEach((server) => server.close());
+    mock.restoreAll();
+    await rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('a frame restored after a restart is archived without fetching it again', async () => {
+    const first = await startApp(createStubSource());
+    assert.equal((await first.getJson('/api/radar/latest')).validTime, FRAME_TIMES[0]);
+    first.server.close();
+    // The cache writes to disk in the background
+    const gridFile = join(cacheDir, 'grids', 'rala.grid');
+    while (!(await stat(gridFile).catch(() => null))) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    const source = createStubSource();
+    const second = await startApp(source);
+    assert.equal((await second.getJson('/api/radar/latest')).validTime, FRAME_TIMES[0]);
+    const { frames } = await second.getJson('/api/radar/frames');
+    assert.deepEqual(frames.map((frame) => frame.time), [FRAME_TIMES[0]]);
+    assert.equal(source.requests.length, 0);
+  });
+});
@@ -0,0 +1,110 @@
+// Minimal GRIB2 writer for tests
+// Builds an MRMS-style file (discipline 209, lat/lon grid, template 4.0,
+// simple packing at 0.1 resolution) that mrmsParser.js reads like the real
+// thing. Values use the MRMS sentinels: -999 for missing, -99 for no coverage.
+
+import { gzipSync } from 'zlib';
+
+export const MISSING = -999;
+export const NO_COVERAGE = -99;
+
+const MRMS_DISCIPLINE = 209;
+const DECIMAL_SCALE = 1; // values are stored in tenths
+const REFERENCE = MISSING * 10 ** DECIMAL_SCALE; // the lowest value stored
+const BITS = 16;
+
+// A gzipped GRIB2 file holding `values` (row-major from the north-west
+// corner, la1/lo1 the first cell centre, lo1 in 0..360)
+export function encodeGrib2({
+  nx,
+  ny,
+  la1,
+  lo1,
+  dx,
+  dy,
+  values,
+  parameter,
+  validTime
+}) {
+  const date = new Date(validTime);
+
+  const identification = Buffer.alloc(16);
+  identification.writeUInt16BE(161, 0); // NSSL
+  identification[4] = 2; // master tables version
+  identification[5] = 1;
+  identification[6] = 1; // reference time is the start of the forecast
+  identification.writeUInt16BE(date.getUTCFullYear(), 7);
+  identification[9] = date.getUTCMonth() + 1;
+  identification[10] = date.getUTCDate();
+  identification[11] = date.getUTCHours();
+  identification[12] = date.getUTCMinutes();
+  identification[13] = date.getUTCSeconds();
+
+  const grid = Buffer.alloc(67);
+  grid.writeUInt32BE(nx * ny, 1);
+  grid[9] = 6; // spherical earth
+  grid.writeUInt32BE(nx, 25);
+  grid.writeUInt32BE(ny, 29);
+  grid.writeUInt32BE(0xffffffff, 37);
+  writeSignedInt32(grid, microDegrees(la1), 41);
+  writeSignedInt32(grid, microDegrees(lo1), 45);
+  grid[49] = 48; // increments given
+  writeSignedInt32(grid, microDegrees(la1 - (ny - 1) * dy), 50);
+  writeSignedInt32(grid, microDegrees(lo1 + (nx - 1) * dx), 54);
+  grid.writeUInt32BE(microDegrees(dx), 58);
+  grid.writeUInt32BE(microDegrees(dy), 62);
+  grid[66] = 0; // rows run north to south
+
+  const productDefinition = Buffer.alloc(29);
+  productDefinition[4] = parameter.category;
+  productDefinition[5] = parameter.number;
+  productDefinition[6] = 2; // forecast
+  productDefinition[17] = 102; // height above mean sea level
+  writeSignedInt32(productDefinition, 500, 19);
+  productDefinition[23] = 255;
+
+  const representation = Buffer.alloc(16);
+  representation.writeUInt32BE(nx * ny, 0);
+  representation.writeUInt16BE(0, 4); // simple packing
+  representation.writeFloatBE(REFERENCE, 6);
+  representation.writeUInt16BE(0, 10); // binary scale
+  representation.writeUInt16BE(DECIMAL_SCALE, 12);
+  representation[14] = BITS;
+
+  const data = Buffer.alloc(nx * ny * (BITS / 8));
+  values.forEach((value, index) => {
+    data.writeUInt16BE(Math.round(value * 10 ** DECIMAL_SCALE - REFERENCE), index * 2);
+  });
+
+  const body = Buffer.concat([
+    section(1, identification),
+    section(3, grid),
+    section(4, productDefinition),
+    section(5, representation),
+    section(6, Buffer.from([255])), // no bit map
+    section(7, data),
+    Buffer.from('7777')
+  ]);
+
+  const indicator = Buffer.alloc(16);
+  indicator.write('GRIB', 0);
+  indicator[6] = MRMS_DISCIPLINE;
+  indicator[7] = 2; // edition
+  indicator.writeUInt32BE(16 + body.length, 12);
+
+  return gzipSync(Buffer.concat([indicator, body]));
+}
+
+function section(number, contents) {
+  const header = Buffer.alloc(5);
+  header.writeUInt32BE(5 + contents.length, 0);
+  header[4] = number;
+  return Buffer.concat([header, contents]);
+}
+
+// GRIB2 signed integers are a sign bit and magnitude
+function writeSignedInt32(buffer, value, offset) {
+  buffer.writeUInt32BE(value < 0 ? (0x80000000 | -value) >>> 0 : value, offset);
+}
+
+const microDegrees = (degrees) => Math.round(degrees * 1e6);
@@ -0,0 +1,23 @@
+// Region statistics tests on a small hand-made grid
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRegionStats } from '../regionStats.js';
+import { QUALITY } from '../mrmsParser.js';
+
+test('categorical values are counted by their category code', () => {
+  // Category 1 as packed GRIB decodes it, beside exact 1s and 3s
+  const values = Float32Array.from([0.99999994, 1, 1.0000001, 3]);
+  const grid = { nx: 4, ny: 1, dx: 0.01, dy: 0.01, values, quality: new Uint8Array(4).fill(QUALITY.VALID) };
+  const categories = { stops: [{ value: 1, label: 'Rain' }, { value: 3, label: 'Snow' }] };
+
+  const { histogram } = computeRegionStats(grid, {
+    window: { i0: 0, j0: 0, nx: 4, ny: 1, la1: 39, dy: 0.01 },
+    range: { min: 0, max: 10 },
+    categories
+  });
+  assert.deepEqual(
+    histogram.map(({ value, label, cells }) => ({ value, label, cells })),
+    [{ value: 1, label: 'Rain', cells: 3 }, { value: 3, label: 'Snow', cells: 1 }]
+  );
+});
@@ -0,0 +1,35 @@
+// Watch list tests, with a stubbed measure in place of the worker pool
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWatchList } from '../watchList.js';
+
+const products = { rala: { units: 'dBZ' } };
+const TIMES = ['2024-05-01T12:00:00.000Z', '2024-05-01T12:02:00.000Z'];
+
+// Stands in for a frame's grid: every watch measures `value`, after `delay` ms
+const frame = (timestamp, value, delay) => ({ timestamp, _fullData: { value, delay } });
+const measure = async (grid, geometries) => {
+  await new Promise((resolve) => setTimeout(resolve, grid.delay));
+  return geometries.map(() => grid.value);
+};
+
+test('overlapping evaluations of a product run in order', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const watchList = createWatchList({ file: null, products, measure });
+  await watchList.add({ name: 'Home', product: 'rala', threshold: 40, geometry: { type: 'Point', coordinates: [-98, 39] } });
+
+  // The second frame would finish measuring first
+  await Promise.all([
+    watchList.evaluate('rala', frame(TIMES[0], 50, 20)),
+    watchList.evaluate('rala', frame(TIMES[1], 10, 0)),
+    watchList.evaluate('rala', frame(TIMES[1], 10, 0))
+  ]);
+  const alerts = await watchList.listAlerts();
+  assert.deepEqual(alerts.map((alert) => [alert.type, alert.validTime]), [['cleared', TIMES[1]], ['exceeded', TIMES[0]]]);
+
+  // A frame older than the last one evaluated changes nothing
+  assert.deepEqual(await watchList.evaluate('rala', frame(TIMES[0], 50, 0)), []);
+  const [watch] = await watchList.list();
+  assert.deepEqual(watch.state, { active: false, value: 10, validTime: TIMES[1] });
+});
@@ -0,0 +1,210 @@
+// Location watch list with threshold alerts
+// A watch is a GeoJSON Point or Polygon, a product and a threshold. Each new
+// frame of a product is evaluated against its watches (the value at the
+// point, or the highest value inside the polygon), and crossing the threshold
+// in either direction records an alert event. Watches, their last state and
+// recent alerts are kept in one JSON file, or only in memory without one.
+// measureWatches scans the grid, so the app runs it in the worker pool.
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { findNearestCell, forEachCellInPolygon, parsePolygon } from './gridQuery.js';
+import { QUALITY } from './mrmsParser.js';
+
+const MAX_NAME_LENGTH = 100;
+
+// `measure(grid, geometries)` resolves to the value for each geometry (see
+// measureWatches); the app passes one that runs in the worker pool
+export function createWatchList({ file, products, maxAlerts = 500, measure = measureWatches }) {
+  let watches = [];
+  let alerts = []; // newest first
+  let saving = Promise.resolve();
+  const evaluations = new Map(); // productId -> latest evaluation
+
+  const ready = file ? load() : Promise.resolve();
+
+  async function load() {
+    try {
+      const saved = JSON.parse(await readFile(file, 'utf8'));
+      watches = saved.watches || [];
+      alerts = saved.alerts || [];
+      console.log(`[INFO] Loaded ${watches.length} watches from ${file}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[ERROR] Failed to load watches from ${file}:`, error.message);
+      }
+    }
+  }
+
+  // Writes are queued so they land in order; a temporary file and rename
+  // keep the file whole if the process dies mid-write
+  function save() {
+    if (!file) return saving;
+    const contents = JSON.stringify({ watches, alerts }, null, 2);
+    saving = saving
+      .then(async () => {
+        await mkdir(dirname(file), { recursive: true });
+        const temporary = `${file}.${process.pid}.tmp`;
+        await writeFile(temporary, contents);
+        await rename(temporary, file);
+      })
+      .catch((error) => console.error(`[ERROR] Failed to save watches to ${file}:`, error.message));
+    return saving;
+  }
+
+  async function list() {
+    await ready;
+    return watches;
+  }
+
+  // Products with at least one watch, so the scheduler keeps checking them
+  function productIds() {
+    return [...new Set(watches.map((watch) => watch.product))];
+  }
+
+  async function add(input) {
+    await ready;
+    const watch = {
+      id: randomUUID(),
+      name: input.name || `Watch ${watches.length + 1}`,
+      product: input.product,
+      threshold: input.threshold,
+      geometry: input.geometry,
+      createdAt: new Date().toISOString(),
+      state: null // { active, value, validTime } after the first evaluation
+    };
+    watches.push(watch);
+    await save();
+    return watch;
+  }
+
+  async function remove(id) {
+    await ready;
+    const count = watches.length;
+    watches = watches.filter((watch) => watch.id !== id);
+    if (watches.length === count) return false;
+    await save();
+    return true;
+  }
+
+  // Evaluate a product's watches against a new frame (radar data as cached by
+  // the app) and return the alert events it caused. A product's frames are
+  // evaluated one after another, so overlapping loads of the same frame
+  // can't both see a watch as not yet alerted.
+  function evaluate(productId, data) {
+    const previous = evaluations.get(productId) || ready;
+    const evaluation = previous.catch(() => {}).then(() => evaluateFrame(productId, data));
+    evaluations.set(productId, evaluation);
+    return evaluation;
+  }
+
+  // Watches already evaluated against this frame or a later one are skipped
+  async function evaluateFrame(productId, data) {
+    const events = [];
+    const time = Date.parse(data.timestamp);
+
+    const pending = watches.filter((watch) => watch.product === productId
+      && !(Date.parse(watch.state?.validTime) >= time));
+    const values = pending.length > 0 ? await measure(data._fullData, pending.map((watch) => watch.geometry)) : [];
+
+    pending.forEach((watch, index) => {
+      const value = values[index];
+      const active = value !== null && value >= watch.threshold;
+      const wasActive = watch.state?.active ?? false;
+      watch.state = { active, value, validTime: data.timestamp };
+
+      if (active !== wasActive) {
+        events.push({
+          id: randomUUID(),
+          watchId: watch.id,
+          watchName: watch.name,
+          product: productId,
+          type: active ? 'exceeded' : 'cleared',
+          value,
+          threshold: watch.threshold,
+          units: products[productId]?.units,
+          validTime: data.timestamp,
+          recordedAt: new Date().toISOString()
+        });
+      }
+    });
+
+    if (events.length > 0) {
+      alerts = [...events, ...alerts].slice(0, maxAlerts);
+      events.forEach((event) => {
+        console.log(`[ALERT] ${event.watchName}: ${event.product} ${event.type} ${event.threshold} ${event.units} (${event.value})`);
+      });
+    }
+    if (watches.some((watch) => watch.product === productId)) {
+      await save();
+    }
+    return events;
+  }
+
+  async function listAlerts({ since = null, watchId = null, limit = 100 } = {}) {
+    await ready;
+    return alerts
+      .filter((alert) => (!since || Date.parse(alert.recordedAt) > since) && (!watchId || alert.watchId === watchId))
+      .slice(0, limit);
+  }
+
+  return { list, add, remove, productIds, evaluate, listAlerts };
+}
+
+// For each geometry, the value at a point or the highest valid value inside a
+// polygon, null if none
+export function measureWatches(grid, geometries) {
+  return geometries.map((geometry) => measure(grid, geometry));
+}
+
+function measure(grid, geometry) {
+  if (geometry.type === 'Point') {
+    const [lon, lat] = geometry.coordinates;
+    const cell = findNearestCell(grid, lat, lon);
+    return cell && grid.quality[cell.index] === QUALITY.VALID ? grid.values[cell.index] : null;
+  }
+
+  let max = null;
+  forEachCellInPolygon(grid, geometry.coordinates, (index) => {
+    if (grid.quality[index] === QUALITY.VALID && (max === null || grid.values[index] > max)) {
+      max = grid.values[index];
+    }
+  });
+  return max;
+}
+
+// Check a POST /api/watches body. Returns { watch } with the normalised
+// fields or { error } describing what's wrong.
+export function parseWatch(body, products) {
+  const { name, product, threshold, geometry } = body || {};
+
+  if (name !== undefined && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+    return { error: `name must be a string of at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (!products[product]) {
+    return { error: `product must be one of: ${Object.keys(products).join(', ')}` };
+  }
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+    return { error: 'threshold must be a number' };
+  }
+
+  const isPosition = (position) => Array.isArray(position)
+    && Number.isFinite(position[0]) && Math.abs(position[0]) <= 180
+    && Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+  if (geometry?.type === 'Point' && isPosition(geometry.coordinates)) {
+    const [lon, lat] = geometry.coordinates;
+    return { watch: { name: name?.trim(), product, threshold, geometry: { type: 'Point', coordinates: [lon, lat] } } };
+  }
+
+  if (geometry?.type === 'Polygon') {
+    const rings = parsePolygon(geometry);
+    if (!rings) {
+      return { error: 'polygon rings must be closed arrays of at least three [lon, lat] positions' };
+    }
+    return { watch: { name: name?.trim(), product, threshold, geometry: { type: 'Polygon', coordinates: rings } } };
+  }
+
+  return { error: 'geometry must be a GeoJSON Point or Polygon with [lon, lat] coordinates' };
+}
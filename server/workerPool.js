@@ -0,0 +1,108 @@
+// Fixed-size worker_threads pool
+// Tasks are { type, payload } messages; the worker replies with
+// { id, result } or { id, error }. A crashed worker is replaced and its
+// task rejected, so one bad file cannot take the pool down.
+
+import { Worker } from 'worker_threads';
+import { availableParallelism } from 'os';
+
+export function createWorkerPool(filename, { size = Math.max(1, availableParallelism() - 1) } = {}) {
+  const idle = [];
+  const busy = new Map(); // worker -> task
+  const queue = [];
+  let workerCount = 0;
+  let nextTaskId = 0;
+  let closed = false;
+
+  function spawn() {
+    const worker = new Worker(filename);
+    workerCount++;
+
+    worker.on('message', ({ id, result, error }) => {
+      const task = busy.get(worker);
+      busy.delete(worker);
+
+      if (task && task.id === id) {
+        if (error) {
+          const taskError = new Error(error.message);
+          taskError.stack = error.stack;
+          task.reject(taskError);
+        } else {
+          task.resolve(result);
+        }
+      }
+
+      // Don't let idle workers keep the process alive
+      worker.unref();
+      idle.push(worker);
+      dispatch();
+    });
+
+    worker.on('error', (error) => retire(worker, error));
+    worker.on('exit', (code) => retire(worker, new Error(`Worker exited with code ${code}`)));
+
+    worker.unref();
+    return worker;
+  }
+
+  function retire(worker, error) {
+    const task = busy.get(worker);
+    busy.delete(worker);
+
+    const idleIndex = idle.indexOf(worker);
+    if (idleIndex !== -1) {
+      idle.splice(idleIndex, 1);
+    } else if (!task) {
+      // Already retired ('error' is followed by 'exit')
+      return;
+    }
+
+    workerCount--;
+    if (task) {
+      console.error(`[ERROR] Worker failed while running "${task.type}":`, error.message);
+      task.reject(error);
+    }
+    if (!closed) {
+      dispatch();
+    }
+  }
+
+  function dispatch() {
+    while (queue.length > 0) {
+      if (idle.length === 0 && workerCount < size) {
+        idle.push(spawn());
+      }
+
+      const worker = idle.pop();
+      if (!worker) return;
+
+      const task = queue.shift();
+      busy.set(worker, task);
+      worker.ref();
+      worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+    }
+  }
+
+  function run(type, payload) {
+    if (closed) {
+      return Promise.reject(new Error('Worker pool has been destroyed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextTaskId++, type, payload, resolve, reject });
+      dispatch();
+    });
+  }
+
+  async function destroy() {
+    closed = true;
+    for (const task of queue.splice(0)) {
+      task.reject(new Error('Worker pool has been destroyed'));
+    }
+    const workers = [...idle, ...busy.keys()];
+    idle.length = 0;
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+
+  return { run, destroy, size };
+}
@@ -0,0 +1,65 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { watchPropType } from './propTypes';
+
+// Panel listing the watches and their recent alerts
+const AlertsPanel = memo(function AlertsPanel({ watches, alerts, onDelete }) {
+  return (
+    <div className="alerts-panel" role="region" aria-label="Watches and alerts">
+      <div className="alerts-column">
+        <h3>Watches</h3>
+        <ul>
+          {watches.map((watch) => (
+            <li key={watch.id} className={`watch-item${watch.state?.active ? ' watch-active' : ''}`}>
+              <span>
+                <strong>{watch.name}</strong> – {watch.product} ≥ {watch.threshold}
+                {watch.state?.active && ' (alerting)'}
+              </span>
+              <button
+                type="button"
+                className="watch-delete"
+                onClick={() => onDelete(watch.id)}
+                aria-label={`Delete watch ${watch.name}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+      <div className="alerts-column" aria-live="polite">
+        <h3>Recent alerts</h3>
+        {alerts.length === 0 ? (
+          <p className="alerts-empty">No alerts yet</p>
+        ) : (
+          <ul>
+            {alerts.map((alert) => (
+              <li key={alert.id} className={`alert-${alert.type}`}>
+                {new Date(alert.validTime).toLocaleTimeString()} – <strong>{alert.watchName}</strong>{' '}
+                {alert.type === 'exceeded'
+                  ? `reached ${Math.round(alert.value * 10) / 10} ${alert.units || ''} (≥ ${alert.threshold})`
+                  : `dropped below ${alert.threshold} ${alert.units || ''}`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+});
+
+AlertsPanel.propTypes = {
+  watches: PropTypes.arrayOf(watchPropType).isRequired,
+  alerts: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    watchName: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(['exceeded', 'cleared']).isRequired,
+    value: PropTypes.number,
+    threshold: PropTypes.number.isRequired,
+    units: PropTypes.string,
+    validTime: PropTypes.string.isRequired,
+  })).isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
+
+export default AlertsPanel;
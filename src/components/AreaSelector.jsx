@@ -0,0 +1,50 @@
+import { useEffect, useState, memo } from 'react';
+import PropTypes from 'prop-types';
+import { Rectangle, useMap, useMapEvents } from 'react-leaflet';
+import { AREA_STYLE } from '../constants';
+
+const AREA_MIN_DRAG_PIXELS = 5;
+
+// Component to drag out a rectangle on the map; mounted only while drawing,
+// when map panning is switched off so the drag draws instead
+const AreaSelector = memo(function AreaSelector({ onSelect }) {
+  const map = useMap();
+  const [drag, setDrag] = useState(null); // { start, end } as LatLngs
+
+  useEffect(() => {
+    map.dragging.disable();
+    map.getContainer().classList.add('drawing-area');
+    return () => {
+      map.dragging.enable();
+      map.getContainer().classList.remove('drawing-area');
+    };
+  }, [map]);
+
+  useMapEvents({
+    mousedown: (event) => setDrag({ start: event.latlng, end: event.latlng }),
+    mousemove: (event) => setDrag((current) => (current ? { ...current, end: event.latlng } : null)),
+    mouseup: (event) => {
+      if (!drag) return;
+      setDrag(null);
+      // Ignore plain clicks, which would select next to nothing
+      const distance = map.latLngToContainerPoint(drag.start).distanceTo(map.latLngToContainerPoint(event.latlng));
+      if (distance >= AREA_MIN_DRAG_PIXELS) {
+        onSelect([
+          Math.min(drag.start.lng, event.latlng.lng),
+          Math.min(drag.start.lat, event.latlng.lat),
+          Math.max(drag.start.lng, event.latlng.lng),
+          Math.max(drag.start.lat, event.latlng.lat),
+        ]);
+      }
+    },
+  });
+
+  if (!drag) return null;
+  return <Rectangle bounds={[drag.start, drag.end]} pathOptions={AREA_STYLE} interactive={false} />;
+});
+
+AreaSelector.propTypes = {
+  onSelect: PropTypes.func.isRequired,
+};
+
+export default AreaSelector;
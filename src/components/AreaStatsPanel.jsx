@@ -0,0 +1,97 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+
+// Panel with the POST /api/radar/stats results for the drawn rectangle
+const AreaStatsPanel = memo(function AreaStatsPanel({ stats, onClose }) {
+  const { loading, data, error } = stats;
+  const format = (value) => (value === null ? '–' : `${value} ${data.units}`);
+  const percent = (fraction) => `${Math.round(fraction * 1000) / 10}%`;
+  const histogram = data ? data.histogram.filter((bin) => bin.cells > 0) : [];
+  const largestBin = Math.max(...histogram.map((bin) => bin.fraction), 0);
+
+  return (
+    <div className="stats-panel" role="region" aria-label="Area statistics" aria-live="polite">
+      <div className="stats-column">
+        <h3>
+          Area statistics
+          <button type="button" className="stats-close" onClick={onClose} aria-label="Clear area statistics">
+            ×
+          </button>
+        </h3>
+        {loading && <p className="stats-status">Loading...</p>}
+        {error && <p className="point-error">{error}</p>}
+        {data && (
+          <ul>
+            <li>
+              {Math.round(data.areaKm2).toLocaleString()} km², {percent(data.coverage)} with data
+              {' '}({data.validCells.toLocaleString()} cells, {new Date(data.validTime).toLocaleTimeString()})
+            </li>
+            <li>Min {format(data.min)} · Mean {format(data.mean)} · Max {format(data.max)}</li>
+            <li>
+              {Object.entries(data.percentiles)
+                .map(([name, value]) => `${name.toUpperCase()} ${value ?? '–'}`)
+                .join(' · ')}
+            </li>
+            {data.thresholds.map((threshold) => (
+              <li key={threshold.threshold}>
+                ≥ {threshold.threshold} {data.units}: <strong>{percent(threshold.fraction)}</strong>
+                {' '}({Math.round(threshold.areaKm2).toLocaleString()} km²)
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {histogram.length > 0 && (
+        <div className="stats-column">
+          <h3>Distribution by area</h3>
+          <ul>
+            {histogram.map((bin) => (
+              <li key={bin.value ?? bin.from} className="histogram-row">
+                {/* Categorical products are counted per category */}
+                <span className="histogram-label">{bin.label ?? `${bin.from} – ${bin.to}`}</span>
+                <span className="histogram-track">
+                  <span className="histogram-bar" style={{ width: `${(bin.fraction / largestBin) * 100}%` }} />
+                </span>
+                <span>{percent(bin.fraction)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+});
+
+AreaStatsPanel.propTypes = {
+  stats: PropTypes.shape({
+    loading: PropTypes.bool,
+    error: PropTypes.string,
+    data: PropTypes.shape({
+      units: PropTypes.string,
+      validTime: PropTypes.string,
+      areaKm2: PropTypes.number,
+      coverage: PropTypes.number,
+      validCells: PropTypes.number,
+      min: PropTypes.number,
+      mean: PropTypes.number,
+      max: PropTypes.number,
+      percentiles: PropTypes.objectOf(PropTypes.number),
+      thresholds: PropTypes.arrayOf(PropTypes.shape({
+        threshold: PropTypes.number,
+        areaKm2: PropTypes.number,
+        fraction: PropTypes.number,
+      })),
+      histogram: PropTypes.arrayOf(PropTypes.shape({
+        from: PropTypes.number,
+        to: PropTypes.number,
+        value: PropTypes.number,
+        label: PropTypes.string,
+        cells: PropTypes.number,
+        fraction: PropTypes.number,
+      })),
+    }),
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default AreaStatsPanel;
@@ -0,0 +1,37 @@
+import { useEffect, memo } from 'react';
+import { TileLayer, useMap } from 'react-leaflet';
+import { basemapPropType } from './propTypes';
+
+// Component to render the chosen basemap under the radar: raster tiles, or
+// just a background colour for a basemap without a tile URL
+const Basemap = memo(function Basemap({ basemap }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (basemap.url || !basemap.color) return undefined;
+    const container = map.getContainer();
+    container.style.background = basemap.color;
+    return () => {
+      container.style.background = '';
+    };
+  }, [basemap, map]);
+
+  if (!basemap.url) return null;
+  return (
+    // Subdomains and zoom limits can't be changed on a live layer, so each
+    // basemap gets a layer of its own
+    <TileLayer
+      key={basemap.id}
+      url={basemap.url}
+      attribution={basemap.attribution}
+      subdomains={basemap.subdomains || 'abc'}
+      maxNativeZoom={basemap.maxZoom}
+    />
+  );
+});
+
+Basemap.propTypes = {
+  basemap: basemapPropType.isRequired,
+};
+
+export default Basemap;
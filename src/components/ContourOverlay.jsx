@@ -0,0 +1,62 @@
+import { useEffect, useState, memo } from 'react';
+import PropTypes from 'prop-types';
+import { GeoJSON } from 'react-leaflet';
+import { API_CONFIG } from '../constants';
+import { toCssColor, colorAt } from '../utils/colorScale';
+import { colorScalePropType } from './propTypes';
+
+// Component to draw the product's threshold polygons (value >= level) from
+// GET /api/radar/contours, outlined in the colour of each level
+const ContourOverlay = memo(function ContourOverlay({ product, units, colorScale, validTime, frameTime }) {
+  const [contours, setContours] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const timeParam = frameTime ? `&time=${encodeURIComponent(frameTime)}` : '';
+
+    fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.RADAR_CONTOURS}?product=${product}${timeParam}`, {
+      signal: controller.signal,
+    })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Failed to fetch contours: ${response.status}`);
+        return response.json();
+      })
+      .then(setContours)
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error('Error fetching contours:', err);
+      });
+
+    return () => controller.abort();
+  }, [product, validTime, frameTime]);
+
+  // Keep showing nothing until the contours for this frame arrive
+  const current = contours?.features.every(
+    (feature) => feature.properties.product === product && feature.properties.validTime === validTime
+  );
+  if (!current) return null;
+
+  return (
+    <GeoJSON
+      key={`${product}-${validTime}`}
+      data={contours}
+      style={(feature) => ({
+        color: toCssColor(colorAt(colorScale, feature.properties.level)),
+        weight: 2,
+        fillOpacity: 0.1,
+      })}
+      onEachFeature={(feature, layer) => {
+        layer.bindTooltip(`≥ ${feature.properties.level} ${units}`, { sticky: true });
+      }}
+    />
+  );
+});
+
+ContourOverlay.propTypes = {
+  product: PropTypes.string.isRequired,
+  units: PropTypes.string.isRequired,
+  colorScale: colorScalePropType.isRequired,
+  validTime: PropTypes.string.isRequired,
+  frameTime: PropTypes.string,
+};
+
+export default ContourOverlay;
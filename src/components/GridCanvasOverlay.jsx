@@ -0,0 +1,66 @@
+import { useEffect, useState, memo } from 'react';
+import PropTypes from 'prop-types';
+import { useMap } from 'react-leaflet';
+import { GridLayer, DomUtil } from 'leaflet';
+import { drawGridTile } from '../utils/quantizedGrid';
+
+// Leaflet layer drawing a quantised grid onto canvas tiles. setSource swaps
+// the grid or its colouring and redraws without fetching anything.
+const GridCanvasLayer = GridLayer.extend({
+  setSource(source) {
+    this._source = source;
+    return this.redraw();
+  },
+
+  createTile(coords) {
+    const tile = DomUtil.create('canvas', 'leaflet-tile');
+    const size = this.getTileSize();
+    tile.width = size.x;
+    tile.height = size.y;
+    if (this._source) drawGridTile(tile, coords, size, this._source);
+    return tile;
+  },
+});
+
+// Component to draw the active layer in the browser (see GridCanvasLayer)
+const GridCanvasOverlay = memo(function GridCanvasOverlay({ source, opacity, zIndex }) {
+  const map = useMap();
+  const [layer] = useState(() => new GridCanvasLayer());
+
+  useEffect(() => {
+    layer.addTo(map);
+    return () => {
+      layer.remove();
+    };
+  }, [layer, map]);
+
+  useEffect(() => {
+    layer.setOpacity(opacity);
+  }, [layer, opacity]);
+
+  useEffect(() => {
+    layer.setZIndex(zIndex);
+  }, [layer, zIndex]);
+
+  useEffect(() => {
+    layer.setSource(source);
+  }, [layer, source]);
+
+  return null;
+});
+
+GridCanvasOverlay.propTypes = {
+  source: PropTypes.shape({
+    grid: PropTypes.shape({
+      header: PropTypes.object.isRequired,
+      codes: PropTypes.instanceOf(Uint8Array).isRequired,
+    }).isRequired,
+    lookup: PropTypes.instanceOf(Uint32Array).isRequired,
+    smooth: PropTypes.bool.isRequired,
+    hatched: PropTypes.bool.isRequired,
+  }).isRequired,
+  opacity: PropTypes.number.isRequired,
+  zIndex: PropTypes.number.isRequired,
+};
+
+export default GridCanvasOverlay;
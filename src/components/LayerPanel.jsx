@@ -0,0 +1,189 @@
+import { useMemo, memo } from 'react';
+import PropTypes from 'prop-types';
+import { basemapPropType, overlayPropType } from './propTypes';
+
+// Panel managing the stack of product layers, top layer first, and the map
+// under and over them. The active layer is the one the loop, contours, storm
+// cells, point values and area statistics work on.
+const LayerPanel = memo(function LayerPanel({
+  layers,
+  products,
+  activeProduct,
+  onSelect,
+  onAdd,
+  onRemove,
+  onChange,
+  onMove,
+  basemaps,
+  basemap,
+  onBasemapChange,
+  overlays,
+  shownOverlays,
+  onToggleOverlay,
+}) {
+  // Products not shown yet, under their catalog group, in catalog order
+  const addableGroups = useMemo(() => {
+    const groups = [];
+    for (const product of products) {
+      if (layers.some((layer) => layer.product === product.id)) continue;
+      const group = product.group || null;
+      const entry = groups.find((item) => item.group === group);
+      if (entry) entry.items.push(product);
+      else groups.push({ group, items: [product] });
+    }
+    return groups;
+  }, [layers, products]);
+
+  const nameOf = (productId) => products.find((product) => product.id === productId)?.name || productId;
+  const top = layers.length - 1;
+
+  return (
+    <div className="layer-panel" role="region" aria-label="Radar layers">
+      <h3>Layers</h3>
+      <ol className="layer-list">
+        {layers.map((layer, index) => ({ layer, index })).reverse().map(({ layer, index }) => {
+          const name = nameOf(layer.product);
+          const opacityId = `layer-opacity-${layer.product}`;
+          return (
+            <li key={layer.product} className={`layer-row${layer.product === activeProduct ? ' layer-active' : ''}`}>
+              <div className="layer-title">
+                <input
+                  type="checkbox"
+                  checked={layer.visible}
+                  onChange={(e) => onChange(layer.product, { visible: e.target.checked })}
+                  aria-label={`Show ${name}`}
+                />
+                <label title="The active layer drives the loop, contours, storm cells, point values and area statistics">
+                  <input
+                    type="radio"
+                    name="active-layer"
+                    checked={layer.product === activeProduct}
+                    onChange={() => onSelect(layer.product)}
+                  />
+                  {name}
+                </label>
+              </div>
+              <div className="layer-controls">
+                <label htmlFor={opacityId} className="layer-opacity">
+                  <input
+                    id={opacityId}
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.1"
+                    value={layer.opacity}
+                    onChange={(e) => onChange(layer.product, { opacity: parseFloat(e.target.value) })}
+                    aria-label={`${name} opacity`}
+                    aria-valuetext={`${Math.round(layer.opacity * 100)} percent`}
+                  />
+                  <span>{Math.round(layer.opacity * 100)}%</span>
+                </label>
+                <button
+                  type="button"
+                  className="layer-button"
+                  onClick={() => onMove(layer.product, 1)}
+                  disabled={index === top}
+                  aria-label={`Move ${name} up`}
+                >
+                  ▲
+                </button>
+                <button
+                  type="button"
+                  className="layer-button"
+                  onClick={() => onMove(layer.product, -1)}
+                  disabled={index === 0}
+                  aria-label={`Move ${name} down`}
+                >
+                  ▼
+                </button>
+                <button
+                  type="button"
+                  className="layer-button"
+                  onClick={() => onRemove(layer.product)}
+                  disabled={layers.length === 1}
+                  aria-label={`Remove ${name}`}
+                >
+                  ×
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+      {addableGroups.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && onAdd(e.target.value)}
+          className="product-select"
+          aria-label="Add a product layer"
+        >
+          <option value="">Add layer...</option>
+          {addableGroups.map(({ group, items }) => {
+            const options = items.map((product) => (
+              <option key={product.id} value={product.id}>
+                {product.name}
+              </option>
+            ));
+            return group ? <optgroup key={group} label={group}>{options}</optgroup> : options;
+          })}
+        </select>
+      )}
+      <h3 className="layer-panel-section">Map</h3>
+      <select
+        value={basemap}
+        onChange={(e) => onBasemapChange(e.target.value)}
+        className="product-select"
+        aria-label="Basemap"
+      >
+        {basemaps.map((item) => (
+          <option key={item.id} value={item.id}>
+            {item.name}
+          </option>
+        ))}
+      </select>
+      {overlays.map((overlay) => (
+        <label
+          key={overlay.id}
+          className="reference-toggle"
+          title={overlay.minZoom ? `Drawn from zoom level ${overlay.minZoom} in` : undefined}
+        >
+          <input
+            type="checkbox"
+            checked={shownOverlays.includes(overlay.id)}
+            onChange={(e) => onToggleOverlay(overlay.id, e.target.checked)}
+          />
+          {overlay.name}
+        </label>
+      ))}
+    </div>
+  );
+});
+
+const layerPropType = PropTypes.shape({
+  product: PropTypes.string.isRequired,
+  visible: PropTypes.bool.isRequired,
+  opacity: PropTypes.number.isRequired,
+});
+
+LayerPanel.propTypes = {
+  layers: PropTypes.arrayOf(layerPropType).isRequired,
+  products: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    group: PropTypes.string,
+  })).isRequired,
+  activeProduct: PropTypes.string.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  basemaps: PropTypes.arrayOf(basemapPropType).isRequired,
+  basemap: PropTypes.string.isRequired,
+  onBasemapChange: PropTypes.func.isRequired,
+  overlays: PropTypes.arrayOf(overlayPropType).isRequired,
+  shownOverlays: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onToggleOverlay: PropTypes.func.isRequired,
+};
+
+export default LayerPanel;
@@ -0,0 +1,36 @@
+import { memo } from 'react';
+import { Circle, CircleMarker, Polyline, Tooltip } from 'react-leaflet';
+import { locationPropType, nearestEchoPropType } from './propTypes';
+
+const LOCATION_STYLE = { color: '#ffffff', weight: 2, fillColor: '#1e88e5', fillOpacity: 1 };
+const ACCURACY_STYLE = { color: '#1e88e5', weight: 1, fillOpacity: 0.1 };
+const NEAREST_ECHO_STYLE = { color: '#1e88e5', weight: 2, dashArray: '4 6' };
+
+// Component to mark the user's location, with a circle for the position's
+// accuracy and a dashed line out to the nearest echo
+const LocationMarker = memo(function LocationMarker({ location, echo }) {
+  const position = [location.lat, location.lon];
+  return (
+    <>
+      {location.accuracy > 0 && (
+        <Circle center={position} radius={location.accuracy} pathOptions={ACCURACY_STYLE} interactive={false} />
+      )}
+      {echo && echo.distanceKm > 0 && (
+        <>
+          <Polyline positions={[position, [echo.lat, echo.lon]]} pathOptions={NEAREST_ECHO_STYLE} interactive={false} />
+          <CircleMarker center={[echo.lat, echo.lon]} radius={4} pathOptions={NEAREST_ECHO_STYLE} interactive={false} />
+        </>
+      )}
+      <CircleMarker center={position} radius={7} pathOptions={LOCATION_STYLE}>
+        <Tooltip>My location</Tooltip>
+      </CircleMarker>
+    </>
+  );
+});
+
+LocationMarker.propTypes = {
+  location: locationPropType.isRequired,
+  echo: nearestEchoPropType,
+};
+
+export default LocationMarker;
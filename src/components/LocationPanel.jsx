@@ -0,0 +1,120 @@
+import { useState, memo } from 'react';
+import PropTypes from 'prop-types';
+import { QUALITY_MESSAGES } from '../constants';
+import { describeValue } from '../utils/colorScale';
+import { toCompassPoint } from '../utils/compass';
+import { colorScalePropType, locationPropType, nearestEchoPropType } from './propTypes';
+
+// The arrival line of the location panel, from the /api/radar/nearest estimate
+const describeArrival = (arrival) => {
+  if (!arrival) return 'Not enough recent frames to tell where it is heading';
+  if (arrival.minutes === 0) return 'Overhead now';
+  if (arrival.minutes !== null) {
+    return `Rain arriving in ~${arrival.minutes} min (closing at ${Math.round(arrival.approachKmh)} km/h)`;
+  }
+  return arrival.approachKmh > 0 ? 'Approaching slowly, no arrival in sight' : 'Not approaching';
+};
+
+// Panel with the value at the user's location and the nearest echo at or
+// above a threshold, from GET /api/radar/nearest
+const LocationPanel = memo(function LocationPanel({ location, nearby, colorScale, threshold, onThresholdChange, onClose }) {
+  const { loading, data, error } = nearby;
+  // Edited freely and applied on Enter or blur; remounted per product
+  const [draft, setDraft] = useState(threshold === null ? '' : String(threshold));
+
+  const applyDraft = () => {
+    const value = parseFloat(draft);
+    onThresholdChange(Number.isFinite(value) ? value : null);
+  };
+
+  return (
+    <div className="location-panel" role="region" aria-label="My location" aria-live="polite">
+      <div className="location-column">
+        <h3>
+          My location
+          <button type="button" className="location-close" onClick={onClose} aria-label="Clear my location">
+            ×
+          </button>
+        </h3>
+        {location && (
+          <p className="location-coordinates">
+            {location.lat.toFixed(3)}, {location.lon.toFixed(3)}
+            {location.accuracy > 0 && ` (±${Math.round(location.accuracy).toLocaleString()} m)`}
+          </p>
+        )}
+        {loading && <p className="location-status">Loading...</p>}
+        {error && <p className="point-error">{error}</p>}
+        {data && (
+          <ul>
+            <li>
+              Here:{' '}
+              <strong>
+                {data.point.quality === 'valid'
+                  ? describeValue(data.point.value, data.units, colorScale)
+                  : QUALITY_MESSAGES[data.point.quality]}
+              </strong>
+              {' '}({new Date(data.validTime).toLocaleTimeString()})
+            </li>
+            <li>
+              Nearest ≥ {data.threshold} {data.units}:{' '}
+              {data.nearest ? (
+                <strong>
+                  {data.nearest.distanceKm === 0
+                    ? 'at your location'
+                    : `${data.nearest.distanceKm} km ${toCompassPoint(data.nearest.bearingDeg)}`}
+                  {' '}({describeValue(data.nearest.value, data.units, colorScale)})
+                </strong>
+              ) : (
+                `none within ${data.maxDistanceKm} km`
+              )}
+            </li>
+            {data.nearest && <li>{describeArrival(data.arrival)}</li>}
+          </ul>
+        )}
+        <label className="location-threshold" htmlFor="location-threshold">
+          Threshold:
+          <input
+            id="location-threshold"
+            type="number"
+            value={draft}
+            placeholder={data ? String(data.threshold) : ''}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={applyDraft}
+            onKeyDown={(e) => e.key === 'Enter' && applyDraft()}
+            aria-label="Lowest value counted as an echo"
+          />
+          {data && data.units}
+        </label>
+      </div>
+    </div>
+  );
+});
+
+LocationPanel.propTypes = {
+  location: locationPropType,
+  nearby: PropTypes.shape({
+    loading: PropTypes.bool,
+    error: PropTypes.string,
+    data: PropTypes.shape({
+      validTime: PropTypes.string,
+      units: PropTypes.string,
+      threshold: PropTypes.number,
+      maxDistanceKm: PropTypes.number,
+      point: PropTypes.shape({
+        value: PropTypes.number,
+        quality: PropTypes.string,
+      }),
+      nearest: nearestEchoPropType,
+      arrival: PropTypes.shape({
+        approachKmh: PropTypes.number,
+        minutes: PropTypes.number,
+      }),
+    }),
+  }).isRequired,
+  colorScale: colorScalePropType,
+  threshold: PropTypes.number,
+  onThresholdChange: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default LocationPanel;
@@ -0,0 +1,35 @@
+import { useEffect, useRef, memo } from 'react';
+import PropTypes from 'prop-types';
+import { useMap } from 'react-leaflet';
+import { gridBounds } from '../utils/gridBounds';
+
+// Component to fit the map to the radar grid, once
+const MapUpdater = memo(function MapUpdater({ radarData }) {
+  const map = useMap();
+  const fitted = useRef(false);
+
+  useEffect(() => {
+    // Refreshes must not move the map out from under the user
+    if (fitted.current || !radarData?.metadata) return;
+    fitted.current = true;
+    map.fitBounds(gridBounds(radarData.metadata));
+  }, [radarData, map]);
+
+  return null;
+});
+
+MapUpdater.propTypes = {
+  radarData: PropTypes.shape({
+    metadata: PropTypes.shape({
+      nx: PropTypes.number,
+      ny: PropTypes.number,
+      la1: PropTypes.number,
+      lo1: PropTypes.number,
+      la2: PropTypes.number,
+      lo2: PropTypes.number,
+    }),
+    timestamp: PropTypes.string,
+  }),
+};
+
+export default MapUpdater;
@@ -0,0 +1,35 @@
+import { useEffect, memo } from 'react';
+import PropTypes from 'prop-types';
+import { useMap, useMapEvents } from 'react-leaflet';
+
+// Component to report where the map is after each pan or zoom, and to move
+// it when `view` changes (a permalink pasted into the address bar)
+const MapViewSync = memo(function MapViewSync({ view, onViewChange }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (view) map.setView([view.lat, view.lon], view.zoom);
+  }, [view, map]);
+
+  useMapEvents({
+    moveend: () => {
+      const center = map.getCenter();
+      onViewChange({ lat: center.lat, lon: center.lng, zoom: map.getZoom() });
+    },
+  });
+
+  return null;
+});
+
+const viewPropType = PropTypes.shape({
+  lat: PropTypes.number.isRequired,
+  lon: PropTypes.number.isRequired,
+  zoom: PropTypes.number.isRequired,
+});
+
+MapViewSync.propTypes = {
+  view: viewPropType,
+  onViewChange: PropTypes.func.isRequired,
+};
+
+export default MapViewSync;
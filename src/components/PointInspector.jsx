@@ -0,0 +1,68 @@
+import { useState, memo } from 'react';
+import PropTypes from 'prop-types';
+import { Popup, useMapEvents } from 'react-leaflet';
+import { API_CONFIG, QUALITY_MESSAGES } from '../constants';
+import { describeValue } from '../utils/colorScale';
+import { colorScalePropType } from './propTypes';
+
+// Component to show the value under a map click in a popup
+const PointInspector = memo(function PointInspector({ product, colorScale, frameTime, disabled }) {
+  const [point, setPoint] = useState(null);
+
+  useMapEvents({
+    click: async (event) => {
+      if (disabled) return;
+      const { lat, lng } = event.latlng;
+      setPoint({ position: [lat, lng], loading: true });
+
+      try {
+        const params = new URLSearchParams({ product, lat, lon: lng });
+        // The frame drawn, when the loop is on an archived one
+        if (frameTime) params.set('time', frameTime);
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.RADAR_POINT}?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Failed to query point: ${response.status}`);
+        }
+        setPoint({ position: [lat, lng], data });
+      } catch (err) {
+        setPoint({ position: [lat, lng], error: err.message });
+      }
+    },
+  });
+
+  if (!point) return null;
+
+  const { position, loading, data, error } = point;
+  return (
+    <Popup position={position} eventHandlers={{ remove: () => setPoint(null) }}>
+      <div className="point-popup" aria-live="polite">
+        {loading && 'Loading...'}
+        {error && <span className="point-error">{error}</span>}
+        {data && (
+          <>
+            <strong>
+              {data.quality === 'valid'
+                ? describeValue(data.value, data.units, colorScale)
+                : QUALITY_MESSAGES[data.quality]}
+            </strong>
+            <div className="point-details">
+              {position[0].toFixed(3)}, {position[1].toFixed(3)}<br />
+              Grid cell ({data.grid.i}, {data.grid.j})<br />
+              Valid: {new Date(data.validTime).toLocaleTimeString()}
+            </div>
+          </>
+        )}
+      </div>
+    </Popup>
+  );
+});
+
+PointInspector.propTypes = {
+  product: PropTypes.string.isRequired,
+  colorScale: colorScalePropType,
+  frameTime: PropTypes.string,
+  disabled: PropTypes.bool,
+};
+
+export default PointInspector;
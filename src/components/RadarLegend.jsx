@@ -0,0 +1,72 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { toCssColor } from '../utils/colorScale';
+import { colorScalePropType } from './propTypes';
+
+// Legend generated from the selected product's colour table: one swatch per
+// step or category, or a gradient bar with the stops spaced evenly along it
+const RadarLegend = memo(function RadarLegend({ product, coverage }) {
+  const { name, units, colorScale } = product;
+  const { stops } = colorScale;
+
+  return (
+    <div className="radar-legend" role="region" aria-label={`${name} legend`}>
+      <h3>{colorScale.type === 'categorical' ? name : `${name} (${units})`}</h3>
+      <div className="legend-items" role="list">
+        {colorScale.type === 'categorical' && stops.map((stop) => (
+          <div key={stop.value} className="legend-item" role="listitem">
+            <span className="legend-color" style={{ background: toCssColor(stop.color) }} aria-hidden="true"></span>
+            <span>{stop.label}</span>
+          </div>
+        ))}
+        {colorScale.type === 'stepped' && (
+          stops.map((stop, index) => (
+            <div key={stop.value} className="legend-item" title={stop.label} role="listitem">
+              <span className="legend-color" style={{ background: toCssColor(stop.color) }} aria-hidden="true"></span>
+              <span>
+                {index < stops.length - 1
+                  ? `${stop.value}-${stops[index + 1].value} ${units}`
+                  : `${stop.value}+ ${units}`}
+              </span>
+            </div>
+          ))
+        )}
+        {colorScale.type === 'interpolated' && (
+          <div className="legend-item legend-gradient" role="listitem">
+            <span
+              className="legend-gradient-bar"
+              style={{
+                background: `linear-gradient(to right, ${stops
+                  .map((stop, index) => `${toCssColor(stop.color)} ${(index / (stops.length - 1)) * 100}%`)
+                  .join(', ')})`,
+              }}
+              aria-hidden="true"
+            ></span>
+            <span className="legend-gradient-ticks">
+              {stops.map((stop) => (
+                <span key={stop.value} title={stop.label}>{stop.value}</span>
+              ))}
+            </span>
+          </div>
+        )}
+        {coverage !== 'none' && (
+          <div className="legend-item" title="Outside radar coverage - no data, not no rain" role="listitem">
+            <span className={`legend-color legend-no-coverage ${coverage}`} aria-hidden="true"></span>
+            <span>No radar coverage</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+});
+
+RadarLegend.propTypes = {
+  product: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    units: PropTypes.string.isRequired,
+    colorScale: colorScalePropType.isRequired,
+  }).isRequired,
+  coverage: PropTypes.string.isRequired,
+};
+
+export default RadarLegend;
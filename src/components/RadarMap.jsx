@@ -1,66 +1,94 @@
-import { useEffect, useState, useRef, useCallback, useMemo, memo } from 'react';
-import PropTypes from 'prop-types';
-import { MapContainer, TileLayer, ImageOverlay, useMap } from 'react-leaflet';
+import { useEffect, useState, useRef, useCallback, useMemo } from 'react';
+import { MapContainer, Rectangle } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import './RadarMap.css';
-import { API_CONFIG, REFRESH_CONFIG, MAP_CONFIG, DEFAULTS, REFLECTIVITY_LEGEND } from '../constants';
-
-// Component to update the image overlay
-const RadarOverlay = memo(function RadarOverlay({ bounds, imageUrl, opacity }) {
-  if (!bounds || !imageUrl) return null;
-  return <ImageOverlay url={imageUrl} bounds={bounds} opacity={opacity} />;
-});
-
-RadarOverlay.propTypes = {
-  bounds: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
-  imageUrl: PropTypes.string,
-  opacity: PropTypes.number.isRequired,
-};
-
-// Component to handle map auto-refresh
-const MapUpdater = memo(function MapUpdater({ radarData }) {
-  const map = useMap();
+import {
+  API_CONFIG,
+  REFRESH_CONFIG,
+  ANIMATION_CONFIG,
+  MAP_CONFIG,
+  LOCATION_CONFIG,
+  CLIENT_RENDER_CONFIG,
+  DEFAULTS,
+  COVERAGE_OPTIONS,
+  RENDERING_OPTIONS,
+  SAMPLING_OPTIONS,
+  PALETTES,
+  AREA_STYLE,
+} from '../constants';
+import { paletteScale, filteredScale } from '../utils/colorScale';
+import { parseQuantizedGrid, buildColorLookup } from '../utils/quantizedGrid';
+import Basemap from './Basemap';
+import GridCanvasOverlay from './GridCanvasOverlay';
+import PointInspector from './PointInspector';
+import AreaSelector from './AreaSelector';
+import ContourOverlay from './ContourOverlay';
+import StormOverlay from './StormOverlay';
+import WatchAreas from './WatchAreas';
+import LocationMarker from './LocationMarker';
+import ReferenceOverlays from './ReferenceOverlays';
+import AlertsPanel from './AlertsPanel';
+import AreaStatsPanel from './AreaStatsPanel';
+import LocationPanel from './LocationPanel';
+import LayerPanel from './LayerPanel';
+import RadarLegend from './RadarLegend';
+import RadarTimeline from './RadarTimeline';
+import MapViewSync from './MapViewSync';
+import RadarOverlay from './RadarOverlay';
+import MapUpdater from './MapUpdater';
+import { parseViewState, formatViewState } from '../utils/permalink';
+import { gridBounds } from '../utils/gridBounds';
 
-  useEffect(() => {
-    if (radarData?.metadata) {
-      const { la1, lo1, la2, lo2 } = radarData.metadata;
-      // Convert longitude from 0-360 range to -180 to 180 range
-      const convertLon = (lon) => lon > 180 ? lon - 360 : lon;
-      const bounds = [
-        [la2, convertLon(lo1)], // Southwest corner
-        [la1, convertLon(lo2)]  // Northeast corner
-      ];
-      // Fit the map to the radar data bounds
-      map.fitBounds(bounds);
-    }
-  }, [radarData, map]);
-
-  return null;
-});
-
-MapUpdater.propTypes = {
-  radarData: PropTypes.shape({
-    metadata: PropTypes.shape({
-      nx: PropTypes.number,
-      ny: PropTypes.number,
-      la1: PropTypes.number,
-      lo1: PropTypes.number,
-      la2: PropTypes.number,
-      lo2: PropTypes.number,
-    }),
-    timestamp: PropTypes.string,
-  }),
+// The newest frame valid at or before `time`, so layers that update at
+// different rates stay in step during the loop
+const frameAtOrBefore = (frames, time) => {
+  const target = Date.parse(time);
+  return [...frames].reverse().find((frame) => Date.parse(frame.time) <= target) || null;
 };
 
+const NO_FRAMES = [];
+const NO_MAP_LAYERS = { defaultBasemap: null, basemaps: [], overlays: [] };
+
 function RadarMap() {
-  const [radarData, setRadarData] = useState(null);
+  // The view the page was opened with, from a permalink if there is one
+  const [initialState] = useState(() => parseViewState(window.location.hash));
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [lastUpdate, setLastUpdate] = useState(null);
-  const [opacity, setOpacity] = useState(DEFAULTS.OPACITY);
   const [products, setProducts] = useState([]);
-  const [selectedProduct, setSelectedProduct] = useState(DEFAULTS.PRODUCT);
+  // The layer stack, bottom first; the overlays are drawn from it in order
+  const [layers, setLayers] = useState(() => initialState.layers || [
+    { product: DEFAULTS.PRODUCT, visible: true, opacity: DEFAULTS.OPACITY },
+  ]);
+  const [selectedProduct, setSelectedProduct] = useState(initialState.active || DEFAULTS.PRODUCT); // the active layer
+  const [layerData, setLayerData] = useState({}); // product -> latest radar data
+  const [layerFrames, setLayerFrames] = useState({}); // product -> archived frames
+  const [coverage, setCoverage] = useState(DEFAULTS.COVERAGE);
+  const [frameIndex, setFrameIndex] = useState(null); // null follows the latest frame
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [showContours, setShowContours] = useState(DEFAULTS.CONTOURS);
+  const [showStorms, setShowStorms] = useState(DEFAULTS.STORMS);
+  const [watches, setWatches] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [drawingArea, setDrawingArea] = useState(false);
+  const [area, setArea] = useState(null); // [west, south, east, north]
+  const [areaStats, setAreaStats] = useState(null);
+  const [view, setView] = useState(initialState.view); // where the map is
+  const [requestedView, setRequestedView] = useState(null); // where a pasted permalink moves it
+  const [pendingFrameTime, setPendingFrameTime] = useState(initialState.time); // permalink frame, shown once its frames load
+  const [mapLayers, setMapLayers] = useState(NO_MAP_LAYERS); // basemaps and reference overlays on offer
+  const [basemap, setBasemap] = useState(initialState.basemap); // null for the server's default
+  const [shownOverlays, setShownOverlays] = useState(initialState.overlays || []);
+  const [rendering, setRendering] = useState(DEFAULTS.RENDERING); // where the active layer is coloured
+  const [palette, setPalette] = useState(DEFAULTS.PALETTE);
+  const [sampling, setSampling] = useState(DEFAULTS.SAMPLING);
+  const [minValue, setMinValue] = useState(null); // lowest value drawn in the browser, null for all
+  const [clientGrid, setClientGrid] = useState(null); // quantised grid of the frame shown
+  const [myLocation, setMyLocation] = useState(null); // { lat, lon, accuracy } from the browser
+  const [nearby, setNearby] = useState(null); // nearest echo to myLocation, shown in the location panel
+  const [echoThreshold, setEchoThreshold] = useState(null); // null for the product's default
   const refreshIntervalRef = useRef(null);
+  const gridCacheRef = useRef(new Map()); // product/time -> quantised grid, oldest first
 
   const fetchProducts = useCallback(async () => {
     try {
@@ -74,7 +102,23 @@ function RadarMap() {
     }
   }, []);
 
-  const fetchRadarData = useCallback(async (product = selectedProduct) => {
+  // Without the server's list the map still gets a basemap
+  const fetchMapLayers = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.MAP_LAYERS}`);
+      if (!response.ok) throw new Error(`Failed to fetch map layers: ${response.status}`);
+      setMapLayers(await response.json());
+    } catch (err) {
+      console.error('Error fetching map layers:', err);
+      setMapLayers({
+        defaultBasemap: MAP_CONFIG.FALLBACK_BASEMAP.id,
+        basemaps: [MAP_CONFIG.FALLBACK_BASEMAP],
+        overlays: [],
+      });
+    }
+  }, []);
+
+  const fetchRadarData = useCallback(async (product) => {
     try {
       setLoading(true);
       setError(null);
@@ -86,104 +130,599 @@ function RadarMap() {
       }
 
       const data = await response.json();
-      setRadarData(data);
-      setLastUpdate(new Date(data.timestamp));
+      setLayerData((current) => ({ ...current, [product]: data }));
       setLoading(false);
     } catch (err) {
       console.error('Error fetching radar data:', err);
       setError(err.message);
       setLoading(false);
     }
-  }, [selectedProduct]);
+  }, []);
+
+  // The watch list and its alerts change together, so they're fetched together
+  const fetchWatches = useCallback(async () => {
+    try {
+      const [watchResponse, alertResponse] = await Promise.all([
+        fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.WATCHES}`),
+        fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.ALERTS}?limit=${DEFAULTS.ALERT_LIMIT}`),
+      ]);
+      if (watchResponse.ok) setWatches((await watchResponse.json()).watches);
+      if (alertResponse.ok) setAlerts((await alertResponse.json()).alerts);
+    } catch (err) {
+      console.error('Error fetching watches:', err);
+    }
+  }, []);
+
+  const handleDeleteWatch = useCallback(async (id) => {
+    try {
+      await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.WATCHES}/${id}`, { method: 'DELETE' });
+    } catch (err) {
+      console.error('Error deleting watch:', err);
+    }
+    fetchWatches();
+  }, [fetchWatches]);
+
+  const fetchFrames = useCallback(async (product) => {
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.RADAR_FRAMES}?product=${product}`);
+      if (response.ok) {
+        const data = await response.json();
+        setLayerFrames((current) => ({ ...current, [product]: data.frames }));
+      }
+    } catch (err) {
+      console.error('Error fetching radar frames:', err);
+    }
+  }, []);
+
+  // The frame list is fetched after the latest data so it includes the newest frame
+  const refreshProduct = useCallback(async (product) => {
+    await fetchRadarData(product);
+    await fetchFrames(product);
+  }, [fetchRadarData, fetchFrames]);
+
+  // One string for the set of products in the stack, so reordering layers or
+  // changing their opacity doesn't reconnect the frame stream
+  const layerProducts = useMemo(
+    () => layers.map((layer) => layer.product).sort().join(','),
+    [layers]
+  );
 
   useEffect(() => {
-    // Fetch products list
+    // Fetch products list, map layers and watches
     fetchProducts();
-  }, [fetchProducts]);
+    fetchMapLayers();
+    fetchWatches();
+  }, [fetchProducts, fetchMapLayers, fetchWatches]);
 
   useEffect(() => {
-    // Initial fetch
-    fetchRadarData(selectedProduct);
+    const productIds = layerProducts.split(',');
+    const refresh = () => Promise.all(productIds.map(refreshProduct));
 
-    // Set up auto-refresh
-    refreshIntervalRef.current = setInterval(() => {
-      fetchRadarData(selectedProduct);
-    }, REFRESH_CONFIG.INTERVAL_MS);
+    // Initial fetch
+    refresh();
 
-    return () => {
+    // Polling is only a fallback for when the frame stream is unavailable
+    const startPolling = () => {
+      if (!refreshIntervalRef.current) {
+        refreshIntervalRef.current = setInterval(refresh, REFRESH_CONFIG.INTERVAL_MS);
+      }
+    };
+    const stopPolling = () => {
       if (refreshIntervalRef.current) {
         clearInterval(refreshIntervalRef.current);
+        refreshIntervalRef.current = null;
       }
     };
-  }, [selectedProduct, fetchRadarData]);
 
-  const handleRefresh = () => {
-    fetchRadarData();
-  };
+    // Reload as soon as the server announces a new frame
+    let stream = null;
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+    } else {
+      stream = new EventSource(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.RADAR_STREAM}?product=${layerProducts}`);
+      stream.addEventListener('ready', () => {
+        // Back after a drop: catch up on anything announced in the meantime
+        if (refreshIntervalRef.current) {
+          stopPolling();
+          refresh();
+        }
+      });
+      stream.addEventListener('frame', (event) => {
+        const { product } = JSON.parse(event.data);
+        if (productIds.includes(product)) refreshProduct(product);
+      });
+      // Watch states change with their alerts
+      stream.addEventListener('alert', fetchWatches);
+      // EventSource reconnects by itself; poll until it does
+      stream.onerror = startPolling;
+    }
+
+    return () => {
+      stream?.close();
+      stopPolling();
+    };
+  }, [layerProducts, refreshProduct, fetchWatches]);
+
+  // Start each newly active layer at its latest frame, showing every value
+  useEffect(() => {
+    setFrameIndex(null);
+    setPlaying(false);
+    setMinValue(null);
+    setEchoThreshold(null);
+  }, [selectedProduct]);
+
+  const radarData = layerData[selectedProduct] || null;
+  const frames = layerFrames[selectedProduct] || NO_FRAMES;
 
-  // Calculate bounds for the image overlay (memoized to avoid recalculation)
-  const bounds = useMemo(() => {
-    if (!radarData?.metadata) return null;
+  // Go to the frame a permalink asked for once the active layer's frames are
+  // in; if it has expired from the archive the latest frame stays
+  useEffect(() => {
+    if (!pendingFrameTime || frames.length === 0) return;
+    const index = frames.findIndex((frame) => Date.parse(frame.time) === Date.parse(pendingFrameTime));
+    setFrameIndex(index === -1 || index === frames.length - 1 ? null : index);
+    setPendingFrameTime(null);
+  }, [frames, pendingFrameTime]);
 
-    const { la1, lo1, la2, lo2 } = radarData.metadata;
+  // A permalink may name products this server doesn't have
+  useEffect(() => {
+    if (products.length === 0) return;
+    const known = layers.filter((layer) => products.some((product) => product.id === layer.product));
+    if (known.length === layers.length) return;
+    const fallback = known.length > 0
+      ? known
+      : [{ product: products[0].id, visible: true, opacity: DEFAULTS.OPACITY }];
+    setLayers(fallback);
+    if (!fallback.some((layer) => layer.product === selectedProduct)) {
+      setSelectedProduct(fallback[fallback.length - 1].product);
+    }
+  }, [products, layers, selectedProduct]);
 
-    // Convert longitude from 0-360 range to -180 to 180 range
-    const convertLon = (lon) => lon > 180 ? lon - 360 : lon;
+  // Pasting a permalink into the address bar of an open page only changes the
+  // hash, so apply it without a reload
+  useEffect(() => {
+    const handleHashChange = () => {
+      const state = parseViewState(window.location.hash);
+      if (state.layers) {
+        setLayers(state.layers);
+        setSelectedProduct(state.active);
+      }
+      if (state.view) setRequestedView(state.view);
+      if (state.basemap) setBasemap(state.basemap);
+      if (state.overlays) setShownOverlays(state.overlays);
+      setPlaying(false);
+      setFrameIndex(null);
+      setPendingFrameTime(state.time);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
 
-    return [
-      [la2, convertLon(lo1)], // Southwest corner
-      [la1, convertLon(lo2)]  // Northeast corner
-    ];
-  }, [radarData]);
+  // Advance the loop, wrapping from the latest frame back to the oldest
+  useEffect(() => {
+    if (!playing || frames.length < 2) return undefined;
 
-  const imageUrl = useMemo(
-    () => radarData ? `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.RADAR_IMAGE}?product=${selectedProduct}&t=${radarData.timestamp}` : null,
-    [radarData, selectedProduct]
+    const timer = setInterval(() => {
+      setFrameIndex((index) => (index === null || index >= frames.length - 1 ? 0 : index + 1));
+    }, ANIMATION_CONFIG.FRAME_INTERVAL_MS / speed);
+
+    return () => clearInterval(timer);
+  }, [playing, speed, frames.length]);
+
+  const handleRefresh = () => Promise.all(layers.map((layer) => refreshProduct(layer.product)));
+
+  const handleTogglePlay = useCallback(() => setPlaying((value) => !value), []);
+
+  // Scrubbing pauses the loop; the last position follows new frames as they arrive
+  const handleSeek = useCallback((index) => {
+    setPlaying(false);
+    setFrameIndex(index >= frames.length - 1 ? null : index);
+  }, [frames.length]);
+
+  // New layers go on top and become the active layer
+  const handleAddLayer = useCallback((product) => {
+    setLayers((current) => [...current, { product, visible: true, opacity: DEFAULTS.OPACITY }]);
+    setSelectedProduct(product);
+  }, []);
+
+  const handleRemoveLayer = useCallback((product) => {
+    const remaining = layers.filter((layer) => layer.product !== product);
+    setLayers(remaining);
+    if (product === selectedProduct) setSelectedProduct(remaining[remaining.length - 1].product);
+  }, [layers, selectedProduct]);
+
+  const handleChangeLayer = useCallback((product, changes) => {
+    setLayers((current) => current.map((layer) => (layer.product === product ? { ...layer, ...changes } : layer)));
+  }, []);
+
+  // Swap a layer with its neighbour above (+1) or below (-1)
+  const handleMoveLayer = useCallback((product, offset) => {
+    setLayers((current) => {
+      const index = current.findIndex((layer) => layer.product === product);
+      const target = index + offset;
+      if (index < 0 || target < 0 || target >= current.length) return current;
+      const next = [...current];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }, []);
+
+  const handleToggleOverlay = useCallback((id, shown) => {
+    setShownOverlays((current) => (shown ? [...current, id] : current.filter((item) => item !== id)));
+  }, []);
+
+  // A permalink may name a basemap or overlays this server doesn't offer
+  const activeBasemap = mapLayers.basemaps.find((item) => item.id === basemap)
+    || mapLayers.basemaps.find((item) => item.id === mapLayers.defaultBasemap)
+    || null;
+  const referenceOverlays = useMemo(
+    () => mapLayers.overlays.filter((overlay) => shownOverlays.includes(overlay.id)),
+    [mapLayers, shownOverlays]
   );
 
+  const productInfo = products.find((product) => product.id === selectedProduct);
+
+  const lastFrameIndex = frames.length - 1;
+  const currentFrameIndex = frameIndex === null ? lastFrameIndex : Math.min(frameIndex, lastFrameIndex);
+  const currentFrame = currentFrameIndex >= 0 && currentFrameIndex < lastFrameIndex ? frames[currentFrameIndex] : null;
+
+  // Statistics for the drawn area follow the product and the frame shown,
+  // but aren't recomputed for every frame of a playing loop
+  const statsTime = currentFrame ? currentFrame.time : radarData?.timestamp;
+  useEffect(() => {
+    if (!area || playing || !statsTime) return undefined;
+
+    const controller = new AbortController();
+    setAreaStats((current) => ({ ...current, loading: true, error: null }));
+    fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.RADAR_STATS}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ product: selectedProduct, bbox: area, time: currentFrame?.time }),
+      signal: controller.signal,
+    })
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message || `Failed to compute statistics: ${response.status}`);
+        }
+        setAreaStats({ data });
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') setAreaStats({ error: err.message });
+      });
+
+    return () => controller.abort();
+  }, [area, selectedProduct, statsTime, playing, currentFrame?.time]);
+
+  const handleAreaSelect = useCallback((bbox) => setArea(bbox), []);
+
+  const handleAreaClose = useCallback(() => {
+    setArea(null);
+    setAreaStats(null);
+  }, []);
+
+  // Ask the browser where the user is, then centre the map there
+  const handleLocate = useCallback(() => {
+    if (!navigator.geolocation) {
+      setNearby({ error: 'This browser cannot share its location' });
+      return;
+    }
+
+    setNearby((current) => ({ ...current, loading: true, error: null }));
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        const location = { lat: coords.latitude, lon: coords.longitude, accuracy: coords.accuracy };
+        setMyLocation(location);
+        setRequestedView({ lat: location.lat, lon: location.lon, zoom: LOCATION_CONFIG.ZOOM });
+      },
+      (err) => {
+        setNearby({
+          error: err.code === err.PERMISSION_DENIED ? 'Location permission was denied' : `Could not get your location: ${err.message}`,
+        });
+      },
+      LOCATION_CONFIG.GEOLOCATION
+    );
+  }, []);
+
+  const handleLocationClose = useCallback(() => {
+    setMyLocation(null);
+    setNearby(null);
+  }, []);
+
+  // The nearest echo follows the active product and each new latest frame;
+  // its arrival estimate comes from the frames archived before it
+  const nearbyTime = radarData?.timestamp;
+  useEffect(() => {
+    if (!myLocation || !nearbyTime) return undefined;
+
+    const controller = new AbortController();
+    const params = new URLSearchParams({ product: selectedProduct, lat: myLocation.lat, lon: myLocation.lon });
+    if (echoThreshold !== null) params.set('threshold', echoThreshold);
+    setNearby((current) => ({ ...current, loading: true, error: null }));
+    fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.RADAR_NEAREST}?${params}`, { signal: controller.signal })
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message || `Failed to find the nearest echo: ${response.status}`);
+        }
+        setNearby({ data });
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') setNearby({ error: err.message });
+      });
+
+    return () => controller.abort();
+  }, [myLocation, selectedProduct, echoThreshold, nearbyTime]);
+
+  // In-browser rendering: fetch the quantised grid of the active layer's
+  // shown frame. Colours, the minimum value and sampling are applied locally,
+  // so changing them never refetches; recent grids are kept for the loop.
+  const gridFrameTime = currentFrame?.time;
+  const gridValidTime = gridFrameTime || radarData?.timestamp;
+  useEffect(() => {
+    if (rendering !== 'client' || !gridValidTime) return undefined;
+
+    const key = `${selectedProduct}/${gridValidTime}`;
+    const cache = gridCacheRef.current;
+    if (cache.has(key)) {
+      setClientGrid(cache.get(key));
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const params = new URLSearchParams({ product: selectedProduct, stride: CLIENT_RENDER_CONFIG.STRIDE });
+    // The latest frame's URL doesn't change, so its time busts the browser cache
+    if (gridFrameTime) params.set('time', gridFrameTime);
+    else params.set('t', gridValidTime);
+    fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.RADAR_GRID}?${params}`, { signal: controller.signal })
+      .then(async (response) => {
+        if (!response.ok) {
+          const data = await response.json();
+          throw new Error(data.message || `Failed to fetch radar grid: ${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then((buffer) => {
+        const grid = parseQuantizedGrid(buffer);
+        cache.set(key, grid);
+        if (cache.size > CLIENT_RENDER_CONFIG.CACHED_GRIDS) cache.delete(cache.keys().next().value);
+        setClientGrid(grid);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error('Error fetching radar grid:', err);
+      });
+
+    return () => controller.abort();
+  }, [rendering, selectedProduct, gridFrameTime, gridValidTime]);
+
+  // What the canvas layer draws; only rebuilt when the colouring changes.
+  // A grid still loading for a newly active product isn't drawn with its colours.
+  const colorScale = productInfo?.colorScale;
+  const categorical = colorScale?.type === 'categorical';
+  const paletteOption = categorical ? null : PALETTES.find((option) => option.value === palette && option.stops) || null;
+  const clientSource = useMemo(() => {
+    if (rendering !== 'client' || !clientGrid || !colorScale || clientGrid.header.product !== selectedProduct) return null;
+    return {
+      grid: clientGrid,
+      lookup: buildColorLookup(clientGrid.header.encoding, {
+        colorScale,
+        palette: paletteOption,
+        minValue: minValue ?? -Infinity,
+        coverage,
+      }),
+      // Blending category codes would invent categories
+      smooth: sampling === 'smooth' && !categorical,
+      hatched: coverage === 'hatched',
+    };
+  }, [rendering, clientGrid, colorScale, selectedProduct, paletteOption, minValue, coverage, sampling, categorical]);
+
+  // One tile overlay per visible layer, stacked in layer order. The frame
+  // timestamp in the query string makes Leaflet fetch new tiles on every update.
+  // Older frames are addressed by their valid time; the latest by the live endpoint.
+  // While an older frame of the active layer is shown, the other layers show
+  // their frame valid at that time, or nothing if they have none that old.
+  const overlays = useMemo(() => layers.map((layer, index) => {
+    const data = layerData[layer.product];
+    if (!layer.visible || !data) return null;
+
+    const productFrames = layerFrames[layer.product] || NO_FRAMES;
+    let frame = null;
+    if (currentFrame) {
+      frame = layer.product === selectedProduct ? currentFrame : frameAtOrBefore(productFrames, currentFrame.time);
+      if (!frame) return null;
+      if (frame === productFrames[productFrames.length - 1]) frame = null;
+    }
+
+    const base = `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.RADAR_TILES}/${layer.product}/{z}/{x}/{y}.png?coverage=${coverage}`;
+    return {
+      ...layer,
+      clientRendered: rendering === 'client' && layer.product === selectedProduct,
+      zIndex: 10 + index,
+      bounds: gridBounds(data.metadata),
+      tileUrl: frame ? `${base}&time=${encodeURIComponent(frame.time)}` : `${base}&t=${data.timestamp}`,
+    };
+  }).filter(Boolean), [layers, layerData, layerFrames, selectedProduct, currentFrame, coverage, rendering]);
+
+  // Legends for the visible layers, top layer first
+  const legendProducts = [...layers]
+    .reverse()
+    .filter((layer) => layer.visible)
+    .map((layer) => products.find((product) => product.id === layer.product))
+    .filter((product) => product?.colorScale)
+    .map((product) => {
+      // The active layer's legend follows its in-browser palette and filter
+      if (rendering !== 'client' || product.id !== selectedProduct) return product;
+      if (paletteOption) return { ...product, colorScale: paletteScale(paletteOption, product.colorScale, minValue ?? -Infinity) };
+      if (minValue !== null) return { ...product, colorScale: filteredScale(product.colorScale, minValue) };
+      return product;
+    });
+
+  const lastUpdate = radarData ? new Date(radarData.timestamp) : null;
+
+  // Keep the URL a permalink to what's on screen. replaceState doesn't add
+  // history entries or fire hashchange. A playing loop isn't pinned to a frame.
+  const permalinkTime = pendingFrameTime || (playing ? null : currentFrame?.time);
+  // Until the map layers load, keep whatever basemap the permalink named
+  const permalinkBasemap = activeBasemap?.id || basemap;
+  useEffect(() => {
+    const hash = formatViewState({
+      layers,
+      active: selectedProduct,
+      view,
+      time: permalinkTime,
+      basemap: permalinkBasemap,
+      overlays: shownOverlays,
+    });
+    if (hash !== window.location.hash) {
+      window.history.replaceState(null, '', hash);
+    }
+  }, [layers, selectedProduct, view, permalinkTime, permalinkBasemap, shownOverlays]);
+
   return (
     <div className="radar-container">
       <div className="radar-header">
         <h1>MRMS Weather Radar</h1>
         <div className="radar-controls">
           <div className="control-group">
-            <label htmlFor="product-select">
-              Product:
+            <label htmlFor="coverage-select">
+              No coverage:
+              <select
+                id="coverage-select"
+                value={coverage}
+                onChange={(e) => setCoverage(e.target.value)}
+                className="product-select"
+                aria-label="Select how areas without radar coverage are drawn"
+              >
+                {COVERAGE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className="control-group">
+            <label htmlFor="rendering-select" title="In the browser, the active layer is coloured locally so its filter, palette and sampling apply instantly">
+              Rendering:
               <select
-                id="product-select"
-                value={selectedProduct}
-                onChange={(e) => setSelectedProduct(e.target.value)}
+                id="rendering-select"
+                value={rendering}
+                onChange={(e) => setRendering(e.target.value)}
                 className="product-select"
-                aria-label="Select radar product type"
+                aria-label="Select where the active layer is rendered"
               >
-                {products.map((product) => (
-                  <option key={product.id} value={product.id}>
-                    {product.name}
+                {RENDERING_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
                   </option>
                 ))}
               </select>
             </label>
           </div>
+          {rendering === 'client' && productInfo && (
+            <div className="control-group">
+              <label htmlFor="min-value-range">
+                Min:
+                <input
+                  id="min-value-range"
+                  type="range"
+                  className="min-value-range"
+                  min={productInfo.range.min}
+                  max={productInfo.range.max}
+                  step={clientGrid?.header.encoding.scale || 1}
+                  value={minValue ?? productInfo.range.min}
+                  onChange={(e) => {
+                    const value = Number(e.target.value);
+                    setMinValue(value > productInfo.range.min ? value : null);
+                  }}
+                  aria-label="Lowest value to draw"
+                />
+                <span className="min-value">
+                  {minValue === null ? 'All' : `${minValue} ${productInfo.units}`}
+                </span>
+              </label>
+            </div>
+          )}
+          {rendering === 'client' && colorScale && !categorical && (
+            <>
+              <div className="control-group">
+                <label htmlFor="palette-select">
+                  Palette:
+                  <select
+                    id="palette-select"
+                    value={palette}
+                    onChange={(e) => setPalette(e.target.value)}
+                    className="product-select"
+                    aria-label="Select the palette for the active layer"
+                  >
+                    {PALETTES.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <div className="control-group">
+                <label htmlFor="sampling-select">
+                  Sampling:
+                  <select
+                    id="sampling-select"
+                    value={sampling}
+                    onChange={(e) => setSampling(e.target.value)}
+                    className="product-select"
+                    aria-label="Select how the active layer is sampled between grid cells"
+                  >
+                    {SAMPLING_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            </>
+          )}
           <div className="control-group">
-            <label htmlFor="opacity-slider">
-              Opacity:
+            <label htmlFor="contours-toggle" title="Outlines at the product's contour levels; hidden while the loop plays">
               <input
-                id="opacity-slider"
-                type="range"
-                min="0"
-                max="1"
-                step="0.1"
-                value={opacity}
-                onChange={(e) => setOpacity(parseFloat(e.target.value))}
-                aria-label="Adjust radar overlay opacity"
-                aria-valuemin="0"
-                aria-valuemax="100"
-                aria-valuenow={Math.round(opacity * 100)}
-                aria-valuetext={`${Math.round(opacity * 100)} percent`}
+                id="contours-toggle"
+                type="checkbox"
+                checked={showContours}
+                onChange={(e) => setShowContours(e.target.checked)}
               />
-              <span aria-live="polite">{Math.round(opacity * 100)}%</span>
+              Contours
             </label>
           </div>
+          {productInfo?.stormTracking && (
+            <div className="control-group">
+              <label htmlFor="storms-toggle" title="Cells at 40 dBZ and above with their projected tracks; latest frame only">
+                <input
+                  id="storms-toggle"
+                  type="checkbox"
+                  checked={showStorms}
+                  onChange={(e) => setShowStorms(e.target.checked)}
+                />
+                Storm cells
+              </label>
+            </div>
+          )}
+          <button
+            type="button"
+            onClick={() => setDrawingArea((value) => !value)}
+            className="refresh-btn"
+            aria-pressed={drawingArea}
+            title="Drag a rectangle on the map for statistics of the area; the map doesn't pan while drawing"
+          >
+            {drawingArea ? 'Done drawing' : 'Draw area'}
+          </button>
+          <button
+            type="button"
+            onClick={handleLocate}
+            className="refresh-btn"
+            title="Centre the map on your location and summarise the precipitation around it"
+          >
+            My location
+          </button>
           <button
             onClick={handleRefresh}
             disabled={loading}
@@ -195,11 +734,26 @@ function RadarMap() {
           {lastUpdate && (
             <span className="last-update" aria-live="polite" aria-atomic="true">
               Last update: {lastUpdate.toLocaleTimeString()}
+              {radarData?.stale && (
+                <span className="stale-badge" title="The data source hasn't published a newer frame">
+                  {' '}Delayed ({Math.round(radarData.ageSeconds / 60)} min old)
+                </span>
+              )}
             </span>
           )}
         </div>
       </div>
 
+      <RadarTimeline
+        frames={frames}
+        frameIndex={Math.max(currentFrameIndex, 0)}
+        playing={playing}
+        speed={speed}
+        onTogglePlay={handleTogglePlay}
+        onSeek={handleSeek}
+        onSpeedChange={setSpeed}
+      />
+
       {error && (
         <div className="error-message" role="alert" aria-live="assertive">
           Error: {error}
@@ -208,39 +762,109 @@ function RadarMap() {
 
       <div className="map-wrapper" role="application" aria-label="Interactive weather radar map">
         <MapContainer
-          center={MAP_CONFIG.DEFAULT_CENTER}
-          zoom={MAP_CONFIG.DEFAULT_ZOOM}
+          center={initialState.view ? [initialState.view.lat, initialState.view.lon] : MAP_CONFIG.DEFAULT_CENTER}
+          zoom={initialState.view ? initialState.view.zoom : MAP_CONFIG.DEFAULT_ZOOM}
           style={{ height: '100%', width: '100%' }}
           aria-label="Weather radar map"
         >
-          <TileLayer
-            attribution={MAP_CONFIG.TILE_ATTRIBUTION}
-            url={MAP_CONFIG.TILE_URL}
-          />
-          {radarData && <MapUpdater radarData={radarData} />}
-          {bounds && imageUrl && (
-            <RadarOverlay bounds={bounds} imageUrl={imageUrl} opacity={opacity} />
+          {activeBasemap && <Basemap basemap={activeBasemap} />}
+          {/* Fit to the radar grid on first load, unless a permalink set the view */}
+          {radarData && !initialState.view && <MapUpdater radarData={radarData} />}
+          <MapViewSync view={requestedView} onViewChange={setView} />
+          {overlays.map((overlay) => (overlay.clientRendered && clientSource ? (
+            <GridCanvasOverlay
+              key={`${overlay.product}-client`}
+              source={clientSource}
+              opacity={overlay.opacity}
+              zIndex={overlay.zIndex}
+            />
+          ) : (
+            <RadarOverlay
+              key={overlay.product}
+              bounds={overlay.bounds}
+              tileUrl={overlay.tileUrl}
+              opacity={overlay.opacity}
+              zIndex={overlay.zIndex}
+            />
+          )))}
+          {referenceOverlays.length > 0 && <ReferenceOverlays overlays={referenceOverlays} />}
+          {showContours && !playing && radarData && productInfo?.colorScale && (
+            <ContourOverlay
+              product={selectedProduct}
+              units={productInfo.units}
+              colorScale={productInfo.colorScale}
+              validTime={currentFrame ? currentFrame.time : radarData.timestamp}
+              frameTime={currentFrame?.time}
+            />
+          )}
+          {showStorms && !currentFrame && radarData && productInfo?.stormTracking && (
+            <StormOverlay
+              product={selectedProduct}
+              colorScale={productInfo.colorScale}
+              validTime={radarData.timestamp}
+            />
+          )}
+          <WatchAreas watches={watches} products={products} />
+          {area && (
+            <Rectangle
+              bounds={[[area[1], area[0]], [area[3], area[2]]]}
+              pathOptions={AREA_STYLE}
+              interactive={false}
+            />
           )}
+          {myLocation && <LocationMarker location={myLocation} echo={nearby?.data?.nearest} />}
+          {drawingArea && <AreaSelector onSelect={handleAreaSelect} />}
+          <PointInspector
+            product={selectedProduct}
+            colorScale={productInfo?.colorScale}
+            frameTime={currentFrame?.time}
+            disabled={drawingArea}
+          />
         </MapContainer>
+        <LayerPanel
+          layers={layers}
+          products={products}
+          activeProduct={selectedProduct}
+          onSelect={setSelectedProduct}
+          onAdd={handleAddLayer}
+          onRemove={handleRemoveLayer}
+          onChange={handleChangeLayer}
+          onMove={handleMoveLayer}
+          basemaps={mapLayers.basemaps}
+          basemap={activeBasemap?.id || ''}
+          onBasemapChange={setBasemap}
+          overlays={mapLayers.overlays}
+          shownOverlays={shownOverlays}
+          onToggleOverlay={handleToggleOverlay}
+        />
       </div>
 
-      <div className="radar-legend" role="region" aria-label="Radar reflectivity legend">
-        <h3>Reflectivity (dBZ)</h3>
-        <div className="legend-items" role="list">
-          {REFLECTIVITY_LEGEND.map((item, index) => (
-            <div key={index} className="legend-item" title={item.description} role="listitem">
-              <span className="legend-color" style={{ background: item.color }} aria-hidden="true"></span>
-              <span>{item.range}</span>
-            </div>
-          ))}
-        </div>
-      </div>
+      {legendProducts.map((product, index) => (
+        // The no-coverage swatch is listed once, under the top legend
+        <RadarLegend key={product.id} product={product} coverage={index === 0 ? coverage : 'none'} />
+      ))}
+
+      {areaStats && <AreaStatsPanel stats={areaStats} onClose={handleAreaClose} />}
+
+      {nearby && (
+        <LocationPanel
+          key={selectedProduct}
+          location={myLocation}
+          nearby={nearby}
+          colorScale={productInfo?.colorScale}
+          threshold={echoThreshold}
+          onThresholdChange={setEchoThreshold}
+          onClose={handleLocationClose}
+        />
+      )}
+
+      {watches.length > 0 && <AlertsPanel watches={watches} alerts={alerts} onDelete={handleDeleteWatch} />}
 
       <div className="radar-info" role="contentinfo">
         <p>
           <strong>Data Source:</strong> NOAA Multi-Radar Multi-Sensor (MRMS) System<br />
-          <strong>Product:</strong> Reflectivity at Lowest Altitude (RALA)<br />
-          <strong>Updates:</strong> Automatically every 2 minutes
+          <strong>Active layer:</strong> {productInfo ? productInfo.name : selectedProduct}<br />
+          <strong>Updates:</strong> Automatically as new frames are published (about every 2 minutes)
         </p>
       </div>
     </div>
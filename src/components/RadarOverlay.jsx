@@ -0,0 +1,27 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { TileLayer } from 'react-leaflet';
+import { MAP_CONFIG } from '../constants';
+
+// Component to render the radar as Web Mercator tiles
+const RadarOverlay = memo(function RadarOverlay({ bounds, tileUrl, opacity, zIndex }) {
+  if (!bounds || !tileUrl) return null;
+  return (
+    <TileLayer
+      url={tileUrl}
+      bounds={bounds}
+      opacity={opacity}
+      maxNativeZoom={MAP_CONFIG.RADAR_MAX_NATIVE_ZOOM}
+      zIndex={zIndex}
+    />
+  );
+});
+
+RadarOverlay.propTypes = {
+  bounds: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+  tileUrl: PropTypes.string,
+  opacity: PropTypes.number.isRequired,
+  zIndex: PropTypes.number.isRequired,
+};
+
+export default RadarOverlay;
@@ -0,0 +1,78 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { ANIMATION_CONFIG } from '../constants';
+
+// Component with the loop controls: play/pause, timeline scrubber and speed
+const RadarTimeline = memo(function RadarTimeline({
+  frames,
+  frameIndex,
+  playing,
+  speed,
+  onTogglePlay,
+  onSeek,
+  onSpeedChange,
+}) {
+  if (frames.length < 2) return null;
+
+  const lastIndex = frames.length - 1;
+  const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <div className="radar-timeline" role="group" aria-label="Radar loop controls">
+      <button
+        onClick={onTogglePlay}
+        className="refresh-btn play-btn"
+        aria-label={playing ? 'Pause radar loop' : 'Play radar loop'}
+      >
+        {playing ? 'Pause' : 'Play'}
+      </button>
+      <span className="timeline-label">{formatTime(frames[0].time)}</span>
+      <input
+        type="range"
+        min="0"
+        max={lastIndex}
+        step="1"
+        value={frameIndex}
+        onChange={(e) => onSeek(parseInt(e.target.value, 10))}
+        className="timeline-slider"
+        aria-label="Select radar frame"
+        aria-valuetext={formatTime(frames[frameIndex].time)}
+      />
+      <span className="timeline-label">{formatTime(frames[lastIndex].time)}</span>
+      <span className="timeline-current" aria-live="off">
+        {new Date(frames[frameIndex].time).toLocaleTimeString()}
+        {frameIndex === lastIndex ? ' (latest)' : ` (${frameIndex + 1}/${frames.length})`}
+      </span>
+      <label htmlFor="speed-select" className="timeline-speed">
+        Speed:
+        <select
+          id="speed-select"
+          value={speed}
+          onChange={(e) => onSpeedChange(parseFloat(e.target.value))}
+          className="product-select"
+          aria-label="Select radar loop speed"
+        >
+          {ANIMATION_CONFIG.SPEEDS.map((option) => (
+            <option key={option} value={option}>
+              {option}x
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+});
+
+RadarTimeline.propTypes = {
+  frames: PropTypes.arrayOf(PropTypes.shape({
+    time: PropTypes.string.isRequired,
+  })).isRequired,
+  frameIndex: PropTypes.number.isRequired,
+  playing: PropTypes.bool.isRequired,
+  speed: PropTypes.number.isRequired,
+  onTogglePlay: PropTypes.func.isRequired,
+  onSeek: PropTypes.func.isRequired,
+  onSpeedChange: PropTypes.func.isRequired,
+};
+
+export default RadarTimeline;
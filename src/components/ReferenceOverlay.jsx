@@ -0,0 +1,71 @@
+import { useEffect, useState, useMemo, memo } from 'react';
+import PropTypes from 'prop-types';
+import { GeoJSON, CircleMarker, Tooltip } from 'react-leaflet';
+import { API_CONFIG } from '../constants';
+import { overlayPropType } from './propTypes';
+
+// Component to draw one reference overlay (boundaries, labelled places),
+// fetched once when first shown
+const ReferenceOverlay = memo(function ReferenceOverlay({ overlay, zoom }) {
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    // Overlays served by this app come as paths; others as full URLs
+    const url = overlay.url.startsWith('/') ? `${API_CONFIG.BASE_URL}${overlay.url}` : overlay.url;
+    fetch(url, { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Failed to fetch ${overlay.name}: ${response.status}`);
+        return response.json();
+      })
+      .then(setData)
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error('Error fetching reference overlay:', err);
+      });
+    return () => controller.abort();
+  }, [overlay.url, overlay.name]);
+
+  // Lines and areas share one GeoJSON layer; points are drawn one by one so
+  // they can come and go with the zoom
+  const { shapes, points } = useMemo(() => {
+    const features = data?.features || [];
+    const isPoint = (feature) => feature.geometry?.type === 'Point';
+    return {
+      shapes: { type: 'FeatureCollection', features: features.filter((feature) => feature.geometry && !isPoint(feature)) },
+      points: features.filter(isPoint),
+    };
+  }, [data]);
+
+  if (!data || zoom < (overlay.minZoom ?? 0)) return null;
+
+  return (
+    <>
+      {shapes.features.length > 0 && (
+        // Outlines only, so boundaries don't tint the radar under them
+        <GeoJSON data={shapes} style={{ ...overlay.style, fill: false }} interactive={false} />
+      )}
+      {points.map((feature, index) => {
+        const { properties } = feature;
+        if (zoom < (properties?.minZoom ?? 0)) return null;
+        const [lon, lat] = feature.geometry.coordinates;
+        const label = overlay.labels ? properties?.[overlay.labels] : null;
+        return (
+          <CircleMarker key={index} center={[lat, lon]} radius={3} pathOptions={overlay.style} interactive={false}>
+            {label && (
+              <Tooltip permanent direction="right" offset={[4, 0]} className="reference-label">
+                {label}
+              </Tooltip>
+            )}
+          </CircleMarker>
+        );
+      })}
+    </>
+  );
+});
+
+ReferenceOverlay.propTypes = {
+  overlay: overlayPropType.isRequired,
+  zoom: PropTypes.number.isRequired,
+};
+
+export default ReferenceOverlay;
@@ -0,0 +1,34 @@
+import { useState, memo } from 'react';
+import PropTypes from 'prop-types';
+import { Pane, useMap, useMapEvents } from 'react-leaflet';
+import { overlayPropType } from './propTypes';
+import ReferenceOverlay from './ReferenceOverlay';
+
+// Reference overlays get a pane above the radar tiles (200) but below the
+// overlay pane (400), so contours, storm cells and watches stay clickable
+const REFERENCE_PANE_STYLE = { zIndex: 350, pointerEvents: 'none' };
+
+// Component to draw the shown reference overlays above the radar. Overlays,
+// and labelled points, with a `minZoom` are left out when zoomed further out.
+const ReferenceOverlays = memo(function ReferenceOverlays({ overlays }) {
+  const map = useMap();
+  const [zoom, setZoom] = useState(() => map.getZoom());
+
+  useMapEvents({
+    zoomend: () => setZoom(map.getZoom()),
+  });
+
+  return (
+    <Pane name="reference" style={REFERENCE_PANE_STYLE}>
+      {overlays.map((overlay) => (
+        <ReferenceOverlay key={overlay.id} overlay={overlay} zoom={zoom} />
+      ))}
+    </Pane>
+  );
+});
+
+ReferenceOverlays.propTypes = {
+  overlays: PropTypes.arrayOf(overlayPropType).isRequired,
+};
+
+export default ReferenceOverlays;
@@ -0,0 +1,94 @@
+import { Fragment, useEffect, useState, memo } from 'react';
+import PropTypes from 'prop-types';
+import { CircleMarker, Polyline, Tooltip } from 'react-leaflet';
+import { API_CONFIG } from '../constants';
+import { toCssColor, colorAt } from '../utils/colorScale';
+import { toCompassPoint } from '../utils/compass';
+import { colorScalePropType } from './propTypes';
+
+// Two short strokes forming an arrowhead at `tip`, pointing away from `from`
+const arrowHead = ([fromLat, fromLon], [tipLat, tipLon]) => {
+  const scale = Math.cos((tipLat * Math.PI) / 180);
+  const east = (tipLon - fromLon) * scale;
+  const north = tipLat - fromLat;
+  const length = Math.hypot(east, north);
+  if (length === 0) return null;
+
+  const size = Math.min(length * 0.3, 0.15);
+  const angle = Math.atan2(north, east);
+  const side = (offset) => [
+    tipLat - size * Math.sin(angle + offset),
+    tipLon - (size * Math.cos(angle + offset)) / scale,
+  ];
+  return [side(Math.PI / 7), [tipLat, tipLon], side(-Math.PI / 7)];
+};
+
+// Component to draw storm cells from GET /api/storms: a marker per cell, an
+// arrow to its position in 30 minutes and a dashed track on to 60 minutes
+const StormOverlay = memo(function StormOverlay({ product, colorScale, validTime }) {
+  const [storms, setStorms] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.STORMS}?product=${product}`, { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Failed to fetch storm cells: ${response.status}`);
+        return response.json();
+      })
+      .then(setStorms)
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error('Error fetching storm cells:', err);
+      });
+
+    return () => controller.abort();
+  }, [product, validTime]);
+
+  if (!storms || storms.product !== product) return null;
+
+  return storms.cells.map((cell) => {
+    const position = [cell.lat, cell.lon];
+    const color = toCssColor(colorAt(colorScale, cell.maxDbz));
+    const [in30, in60] = cell.forecast.map((point) => [point.lat, point.lon]);
+    const head = in30 && arrowHead(position, in30);
+
+    return (
+      <Fragment key={cell.id}>
+        <CircleMarker
+          center={position}
+          radius={Math.min(14, Math.max(5, Math.sqrt(cell.areaKm2) / 3))}
+          pathOptions={{ color: '#fff', weight: 2, fillColor: color, fillOpacity: 0.9 }}
+        >
+          <Tooltip>
+            <div className="storm-tooltip">
+              <strong>Cell {cell.id}: {cell.maxDbz} dBZ</strong><br />
+              Area: {Math.round(cell.areaKm2)} km²<br />
+              Echo top: {cell.echoTopKm === null ? 'n/a' : `${cell.echoTopKm} km`}<br />
+              {cell.motion
+                ? `Moving ${toCompassPoint(cell.motion.directionDeg)} at ${Math.round(cell.motion.speedKmh)} km/h`
+                : 'Motion unknown (new cell)'}
+            </div>
+          </Tooltip>
+        </CircleMarker>
+        {in30 && (
+          <>
+            <Polyline positions={[position, in30]} pathOptions={{ color, weight: 3 }} />
+            {head && <Polyline positions={head} pathOptions={{ color, weight: 3 }} />}
+            <Polyline positions={[in30, in60]} pathOptions={{ color, weight: 2, dashArray: '6 6' }}>
+              <Tooltip sticky>Projected track: +30 and +60 minutes</Tooltip>
+            </Polyline>
+            <CircleMarker center={in60} radius={3} pathOptions={{ color, fillOpacity: 1 }} />
+          </>
+        )}
+      </Fragment>
+    );
+  });
+});
+
+StormOverlay.propTypes = {
+  product: PropTypes.string.isRequired,
+  colorScale: colorScalePropType.isRequired,
+  validTime: PropTypes.string.isRequired,
+};
+
+export default StormOverlay;
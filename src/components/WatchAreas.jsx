@@ -0,0 +1,46 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { CircleMarker, Polygon, Tooltip } from 'react-leaflet';
+import { watchPropType } from './propTypes';
+
+const WATCH_COLORS = { active: '#dc3545', idle: '#4ecca3' };
+
+// Component to draw the watch list's points and areas, red while alerting
+const WatchAreas = memo(function WatchAreas({ watches, products }) {
+  return watches.map((watch) => {
+    const units = products.find((product) => product.id === watch.product)?.units || '';
+    const color = watch.state?.active ? WATCH_COLORS.active : WATCH_COLORS.idle;
+    const tooltip = (
+      <Tooltip>
+        <strong>{watch.name}</strong><br />
+        {watch.product} ≥ {watch.threshold} {units}<br />
+        {watch.state?.value != null ? `Last: ${Math.round(watch.state.value * 10) / 10} ${units}` : 'No reading yet'}
+      </Tooltip>
+    );
+
+    if (watch.geometry.type === 'Point') {
+      const [lon, lat] = watch.geometry.coordinates;
+      return (
+        <CircleMarker key={watch.id} center={[lat, lon]} radius={8} pathOptions={{ color, weight: 3, fillOpacity: 0.2 }}>
+          {tooltip}
+        </CircleMarker>
+      );
+    }
+    return (
+      <Polygon
+        key={watch.id}
+        positions={watch.geometry.coordinates.map((ring) => ring.map(([lon, lat]) => [lat, lon]))}
+        pathOptions={{ color, weight: 2, dashArray: '4 4', fillOpacity: 0.1 }}
+      >
+        {tooltip}
+      </Polygon>
+    );
+  });
+});
+
+WatchAreas.propTypes = {
+  watches: PropTypes.arrayOf(watchPropType).isRequired,
+  products: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, units: PropTypes.string })).isRequired,
+};
+
+export default WatchAreas;
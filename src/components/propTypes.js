@@ -0,0 +1,63 @@
+// PropTypes shapes shared by several components
+
+import PropTypes from 'prop-types';
+
+// Shape of a product colour table as served by GET /api/products
+export const colorScalePropType = PropTypes.shape({
+  type: PropTypes.oneOf(['stepped', 'interpolated', 'categorical']).isRequired,
+  emptyLabel: PropTypes.string,
+  stops: PropTypes.arrayOf(PropTypes.shape({
+    value: PropTypes.number.isRequired,
+    color: PropTypes.arrayOf(PropTypes.number).isRequired,
+    label: PropTypes.string,
+  })).isRequired,
+});
+
+export const basemapPropType = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  url: PropTypes.string,
+  attribution: PropTypes.string,
+  subdomains: PropTypes.string,
+  maxZoom: PropTypes.number,
+  color: PropTypes.string,
+});
+
+export const watchPropType = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  product: PropTypes.string.isRequired,
+  threshold: PropTypes.number.isRequired,
+  geometry: PropTypes.shape({
+    type: PropTypes.oneOf(['Point', 'Polygon']).isRequired,
+    coordinates: PropTypes.array.isRequired,
+  }).isRequired,
+  state: PropTypes.shape({
+    active: PropTypes.bool,
+    value: PropTypes.number,
+    validTime: PropTypes.string,
+  }),
+});
+
+export const locationPropType = PropTypes.shape({
+  lat: PropTypes.number.isRequired,
+  lon: PropTypes.number.isRequired,
+  accuracy: PropTypes.number,
+});
+
+export const nearestEchoPropType = PropTypes.shape({
+  lat: PropTypes.number.isRequired,
+  lon: PropTypes.number.isRequired,
+  value: PropTypes.number.isRequired,
+  distanceKm: PropTypes.number.isRequired,
+  bearingDeg: PropTypes.number,
+});
+
+export const overlayPropType = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  url: PropTypes.string.isRequired,
+  labels: PropTypes.string,
+  minZoom: PropTypes.number,
+  style: PropTypes.object,
+});
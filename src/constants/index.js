@@ -4,43 +4,121 @@ export const API_CONFIG = {
   BASE_URL: import.meta.env.VITE_API_URL || '',
   ENDPOINTS: {
     PRODUCTS: '/api/products',
+    MAP_LAYERS: '/api/map/layers',
     RADAR_LATEST: '/api/radar/latest',
     RADAR_IMAGE: '/api/radar/image',
+    RADAR_TILES: '/api/radar/tiles',
+    RADAR_POINT: '/api/radar/point',
+    RADAR_NEAREST: '/api/radar/nearest',
+    RADAR_FRAMES: '/api/radar/frames',
+    RADAR_STREAM: '/api/radar/stream',
+    RADAR_CONTOURS: '/api/radar/contours',
+    RADAR_STATS: '/api/radar/stats',
+    RADAR_GRID: '/api/radar/grid',
+    STORMS: '/api/storms',
+    WATCHES: '/api/watches',
+    ALERTS: '/api/alerts',
   },
 };
 
 // Refresh Configuration
 export const REFRESH_CONFIG = {
-  INTERVAL_MS: 2 * 60 * 1000, // 2 minutes
+  INTERVAL_MS: 2 * 60 * 1000, // 2 minutes, used only while the frame stream is down
+};
+
+// Animation Configuration
+export const ANIMATION_CONFIG = {
+  FRAME_INTERVAL_MS: 500, // Time each frame is shown at 1x speed
+  SPEEDS: [0.5, 1, 2, 4],
 };
 
 // Map Configuration
 export const MAP_CONFIG = {
   DEFAULT_CENTER: [39.8283, -98.5795], // Approximate center of CONUS
   DEFAULT_ZOOM: 5,
-  TILE_ATTRIBUTION: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-  TILE_URL: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  // Used when the server's basemap list (/api/map/layers) can't be loaded
+  FALLBACK_BASEMAP: {
+    id: 'streets',
+    name: 'Streets',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  },
+  // Beyond this zoom Leaflet upscales radar tiles instead of requesting new ones
+  RADAR_MAX_NATIVE_ZOOM: 10,
+};
+
+// "My location" mode
+export const LOCATION_CONFIG = {
+  ZOOM: 9, // map zoom when centring on the user's location
+  // navigator.geolocation options; a fix up to a minute old is good enough
+  GEOLOCATION: { enableHighAccuracy: false, timeout: 10000, maximumAge: 60000 },
+};
+
+// In-browser rendering of the active layer from /api/radar/grid
+export const CLIENT_RENDER_CONFIG = {
+  STRIDE: 2, // grid cells per side merged into one (highest value), about 2 km
+  CACHED_GRIDS: 8, // recent frames kept decoded, so a short loop replays without refetching
 };
 
 // Default Values
 export const DEFAULTS = {
   OPACITY: 0.7,
   PRODUCT: 'rala',
+  COVERAGE: 'none',
+  CONTOURS: false,
+  STORMS: false,
+  ALERT_LIMIT: 20, // recent alerts shown in the alerts panel
+  RENDERING: 'server',
+  PALETTE: 'product',
+  SAMPLING: 'smooth',
 };
 
-// Reflectivity Color Scale (dBZ to RGBA)
-export const REFLECTIVITY_LEGEND = [
-  { range: '5-10 dBZ', color: 'rgb(4, 233, 231)', description: 'Light precipitation' },
-  { range: '10-15 dBZ', color: 'rgb(1, 159, 244)', description: 'Light rain/snow' },
-  { range: '15-20 dBZ', color: 'rgb(3, 0, 244)', description: 'Light to moderate rain' },
-  { range: '20-25 dBZ', color: 'rgb(2, 253, 2)', description: 'Moderate rain' },
-  { range: '25-30 dBZ', color: 'rgb(1, 197, 1)', description: 'Moderate to heavy rain' },
-  { range: '30-35 dBZ', color: 'rgb(0, 142, 0)', description: 'Heavy rain' },
-  { range: '35-40 dBZ', color: 'rgb(253, 248, 2)', description: 'Heavy rain' },
-  { range: '40-45 dBZ', color: 'rgb(229, 188, 0)', description: 'Very heavy rain' },
-  { range: '45-50 dBZ', color: 'rgb(253, 139, 0)', description: 'Intense rain' },
-  { range: '50-55 dBZ', color: 'rgb(212, 0, 0)', description: 'Extreme rain/hail' },
-  { range: '55-60 dBZ', color: 'rgb(188, 0, 0)', description: 'Severe weather' },
-  { range: '60-65 dBZ', color: 'rgb(248, 0, 253)', description: 'Severe weather' },
-  { range: '65+ dBZ', color: 'rgb(153, 85, 201)', description: 'Extreme severe weather' },
+// Where the active layer is coloured
+export const RENDERING_OPTIONS = [
+  { value: 'server', label: 'Server tiles' },
+  { value: 'client', label: 'In browser' },
+];
+
+// How in-browser rendering samples the grid between cell centres
+export const SAMPLING_OPTIONS = [
+  { value: 'smooth', label: 'Smooth' },
+  { value: 'nearest', label: 'Nearest' },
 ];
+
+// Palettes for in-browser rendering, stretched from the product's first
+// colour stop (or the minimum value shown) to its last. 'product' keeps the
+// product's own colour table.
+export const PALETTES = [
+  { value: 'product', label: 'Product colours', stops: null },
+  {
+    value: 'viridis',
+    label: 'Viridis',
+    stops: [[0, [68, 1, 84]], [0.25, [59, 82, 139]], [0.5, [33, 145, 140]], [0.75, [94, 201, 98]], [1, [253, 231, 37]]],
+  },
+  {
+    value: 'turbo',
+    label: 'Turbo',
+    stops: [
+      [0, [48, 18, 59]], [0.17, [70, 134, 251]], [0.33, [27, 229, 181]], [0.5, [164, 252, 60]],
+      [0.67, [251, 185, 56]], [0.83, [228, 70, 10]], [1, [122, 4, 3]],
+    ],
+  },
+  { value: 'greyscale', label: 'Greyscale', stops: [[0, [230, 230, 230]], [1, [20, 20, 20]]] },
+];
+
+// How areas outside radar coverage are drawn (server-side `coverage` parameter)
+export const COVERAGE_OPTIONS = [
+  { value: 'none', label: 'Hidden' },
+  { value: 'grey', label: 'Grey' },
+  { value: 'hatched', label: 'Hatched' },
+];
+
+// Point values without data, by the quality flag the API reports
+export const QUALITY_MESSAGES = {
+  missing: 'No data (missing)',
+  no_coverage: 'Outside radar coverage',
+  masked: 'No data (masked)',
+};
+
+// Outline of the rectangle drawn for area statistics
+export const AREA_STYLE = { color: '#ffc107', weight: 2, dashArray: '6 4', fillOpacity: 0.08 };
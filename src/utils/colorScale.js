@@ -0,0 +1,76 @@
+// Colour tables as served by GET /api/products: lookups, descriptions and palettes
+
+export const toCssColor = ([r, g, b]) => `rgb(${r}, ${g}, ${b})`;
+
+// The colour stop a value falls into: the highest stop at or below it, or for
+// a categorical scale the stop of exactly that code
+const findStop = (colorScale, value) => (
+  colorScale.type === 'categorical'
+    ? colorScale.stops.find((item) => item.value === Math.round(value))
+    : [...colorScale.stops].reverse().find((item) => value >= item.value)
+);
+
+// Describe a value using the colour stop it falls into, e.g. "47 dBZ – Intense rain"
+// (a category is described by its label alone)
+export const describeValue = (value, units, colorScale) => {
+  const reading = `${Math.round(value * 10) / 10} ${units || ''}`.trim();
+  if (!colorScale) return reading;
+
+  const stop = findStop(colorScale, value);
+  const label = stop ? stop.label : colorScale.emptyLabel;
+  if (colorScale.type === 'categorical') return label || reading;
+  return label ? `${reading} – ${label}` : reading;
+};
+
+// Colour of the stop a value falls into, white outside every stop
+export const colorAt = (colorScale, value) => findStop(colorScale, value)?.color || [255, 255, 255];
+
+// Colour between the two stops around `position`, clamped to the end stops;
+// stops are [position, colour] pairs
+export const interpolateColor = (stops, position) => {
+  if (position <= stops[0][0]) return stops[0][1];
+  const upper = stops.findIndex(([stopPosition]) => stopPosition >= position);
+  if (upper === -1) return stops[stops.length - 1][1];
+  const [fromPosition, from] = stops[upper - 1];
+  const [toPosition, to] = stops[upper];
+  const t = (position - fromPosition) / (toPosition - fromPosition);
+  return from.map((channel, index) => Math.round(channel + ((to[index] ?? 255) - channel) * t));
+};
+
+// Colour of a value the way the server's tiles draw it, null for none
+export const scaleColor = (colorScale, value) => {
+  const { type, stops } = colorScale;
+  if (type !== 'interpolated') return findStop(colorScale, value)?.color || null;
+  if (!(value >= stops[0].value)) return null;
+  return interpolateColor(stops.map((stop) => [stop.value, stop.color]), value);
+};
+
+// The span a palette is stretched over: the product's first colour stop, or
+// the lowest value shown if higher, to its last
+export const paletteDomain = (colorScale, minValue) => {
+  const { stops } = colorScale;
+  return [Math.max(stops[0].value, minValue), stops[stops.length - 1].value];
+};
+
+// A palette as an interpolated colour scale, for the legend
+export const paletteScale = (palette, colorScale, minValue) => {
+  const [low, high] = paletteDomain(colorScale, minValue);
+  return {
+    type: 'interpolated',
+    stops: palette.stops.map(([position, color]) => ({
+      value: Math.round((low + position * (high - low)) * 10) / 10,
+      color,
+    })),
+  };
+};
+
+// The product's colour table without the stops filtered out by `minValue`
+export const filteredScale = (colorScale, minValue) => {
+  const { type, stops } = colorScale;
+  return {
+    ...colorScale,
+    stops: stops.filter((stop, index) => (type === 'categorical'
+      ? stop.value >= minValue
+      : (stops[index + 1]?.value ?? Infinity) > minValue)),
+  };
+};
@@ -0,0 +1,6 @@
+// Bearings as compass points, e.g. 230 degrees -> "SW"
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Any bearing, negative or past 360, is brought into 0-360 first
+export const toCompassPoint = (degrees) => COMPASS_POINTS[Math.round((((degrees % 360) + 360) % 360) / 45) % 8];
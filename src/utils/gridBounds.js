@@ -0,0 +1,11 @@
+// South-west and north-east corners of a product's grid as Leaflet bounds
+export const gridBounds = (metadata) => {
+  if (!metadata) return null;
+  const { la1, lo1, la2, lo2 } = metadata;
+  // Convert longitude from 0-360 range to -180 to 180 range
+  const convertLon = (lon) => lon > 180 ? lon - 360 : lon;
+  return [
+    [la2, convertLon(lo1)], // Southwest corner
+    [la1, convertLon(lo2)]  // Northeast corner
+  ];
+};
@@ -0,0 +1,61 @@
+import { DEFAULTS } from '../constants';
+
+// Permalinks keep the view in the URL hash, e.g.
+//   #layers=composite:70,echo_tops:50:off&active=composite&map=7/35.2/-97.4&time=2024-05-01T12:00:00.000Z&base=dark&ref=states,cities
+// `layers` runs bottom to top as product:opacity% (":off" when hidden), `map`
+// is zoom/lat/lon and `time` the frame shown, left out for the latest. `base`
+// is the basemap and `ref` the reference overlays shown.
+// Anything missing or malformed falls back to the defaults.
+export const parseViewState = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const state = { layers: null, active: null, view: null, time: null, basemap: null, overlays: null };
+
+  const layers = [];
+  for (const part of (params.get('layers') || '').split(',')) {
+    const [product, opacity, flag] = part.split(':');
+    const percent = Number(opacity);
+    if (!/^[a-z0-9_]+$/.test(product) || layers.some((layer) => layer.product === product)) continue;
+    layers.push({
+      product,
+      visible: flag !== 'off',
+      opacity: opacity !== undefined && percent >= 0 && percent <= 100 ? percent / 100 : DEFAULTS.OPACITY,
+    });
+  }
+  if (layers.length > 0) {
+    state.layers = layers;
+    const active = params.get('active');
+    state.active = layers.some((layer) => layer.product === active) ? active : layers[layers.length - 1].product;
+  }
+
+  const [zoom, lat, lon] = (params.get('map') || '').split('/').map(Number);
+  if (zoom >= 0 && zoom <= 20 && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+    state.view = { lat, lon, zoom };
+  }
+
+  const time = params.get('time');
+  if (time && !Number.isNaN(Date.parse(time))) state.time = time;
+
+  const isId = (id) => /^[a-z0-9_-]+$/.test(id);
+  const basemap = params.get('base');
+  if (isId(basemap)) state.basemap = basemap;
+  if (params.has('ref')) state.overlays = params.get('ref').split(',').filter(isId);
+
+  return state;
+};
+
+export const formatViewState = ({ layers, active, view, time, basemap, overlays }) => {
+  const params = new URLSearchParams();
+  params.set('layers', layers
+    .map((layer) => `${layer.product}:${Math.round(layer.opacity * 100)}${layer.visible ? '' : ':off'}`)
+    .join(','));
+  params.set('active', active);
+  if (view) {
+    // Five decimals is about a metre, plenty for a map view
+    params.set('map', `${view.zoom}/${view.lat.toFixed(5)}/${view.lon.toFixed(5)}`);
+  }
+  if (time) params.set('time', time);
+  if (basemap) params.set('base', basemap);
+  if (overlays.length > 0) params.set('ref', overlays.join(','));
+  // Keep the separators readable; none of them are ambiguous in a hash
+  return `#${params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':').replace(/%2F/g, '/')}`;
+};
@@ -0,0 +1,101 @@
+// Decoding and drawing the quantised grids from GET /api/radar/grid
+
+import { interpolateColor, scaleColor, paletteDomain } from './colorScale';
+
+// Quantised grid from /api/radar/grid: uint32 header length, JSON header,
+// then one code per cell (see server/quantizedGrid.js)
+export const parseQuantizedGrid = (buffer) => {
+  const headerLength = new DataView(buffer).getUint32(0, true);
+  const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, headerLength)));
+  return { header, codes: new Uint8Array(buffer, 4 + headerLength) };
+};
+
+// Lookup entries per code, so smooth sampling can land between codes
+const LOOKUP_STEPS = 4;
+// No-coverage colours and hatching, matching the server's tiles
+const NO_COVERAGE_GREY = [128, 128, 128, 110];
+const NO_COVERAGE_STRIPE = [96, 96, 96, 170];
+const HATCH_PERIOD = 16; // screen pixels between stripes
+
+// RGBA bytes as one pixel of a Uint32Array over ImageData
+const packColor = ([r, g, b, a = 255]) => new Uint32Array(new Uint8Array([r, g, b, a]).buffer)[0];
+
+// Packed colour for every code (and LOOKUP_STEPS - 1 points between codes),
+// transparent below `minValue`
+export const buildColorLookup = (encoding, { colorScale, palette, minValue, coverage }) => {
+  const lookup = new Uint32Array(256 * LOOKUP_STEPS);
+  if (coverage === 'grey') {
+    lookup.fill(packColor(NO_COVERAGE_GREY), encoding.noCoverage * LOOKUP_STEPS, (encoding.noCoverage + 1) * LOOKUP_STEPS);
+  }
+
+  const [low, high] = paletteDomain(colorScale, minValue);
+  for (let index = encoding.firstValue * LOOKUP_STEPS; index < lookup.length; index++) {
+    const value = encoding.offset + (index / LOOKUP_STEPS) * encoding.scale;
+    if (value < minValue) continue;
+    const color = palette
+      ? value >= low && interpolateColor(palette.stops, high > low ? (value - low) / (high - low) : 1)
+      : scaleColor(colorScale, value);
+    if (color) lookup[index] = packColor(color);
+  }
+  return lookup;
+};
+
+// Draw the grid onto one 256px Web Mercator canvas tile. Each pixel looks up
+// the grid cell under its centre; smooth sampling blends the four cells around
+// it instead when they all have values, so edges follow the data rather than
+// the cell outlines.
+export const drawGridTile = (canvas, coords, size, { grid, lookup, smooth, hatched }) => {
+  const { header, codes } = grid;
+  const { width, height, la1, lo1, dx, dy, encoding } = header;
+  const worldSize = size.x * 2 ** coords.z;
+  const left = coords.x * size.x;
+  const top = coords.y * size.y;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(size.x, size.y);
+  const pixels = new Uint32Array(image.data.buffer);
+  const stripe = packColor(NO_COVERAGE_STRIPE);
+
+  // Fractional grid column under each pixel column
+  const columns = new Float64Array(size.x);
+  for (let x = 0; x < size.x; x++) {
+    columns[x] = (((left + x + 0.5) / worldSize) * 360 - 180 - lo1) / dx;
+  }
+
+  for (let y = 0; y < size.y; y++) {
+    const mercator = Math.PI * (1 - (2 * (top + y + 0.5)) / worldSize);
+    const row = (la1 - (Math.atan(Math.sinh(mercator)) * 180) / Math.PI) / dy;
+    const j = Math.round(row);
+    if (j < 0 || j >= height) continue;
+
+    for (let x = 0; x < size.x; x++) {
+      const column = columns[x];
+      const i = Math.round(column);
+      if (i < 0 || i >= width) continue;
+
+      const code = codes[j * width + i];
+      let index = code * LOOKUP_STEPS;
+      if (code === encoding.noCoverage && hatched) {
+        if ((left + x + top + y) % HATCH_PERIOD < HATCH_PERIOD / 4) pixels[y * size.x + x] = stripe;
+        continue;
+      }
+      if (smooth && code >= encoding.firstValue) {
+        const i0 = Math.floor(column);
+        const j0 = Math.floor(row);
+        if (i0 >= 0 && j0 >= 0 && i0 + 1 < width && j0 + 1 < height) {
+          const a = codes[j0 * width + i0];
+          const b = codes[j0 * width + i0 + 1];
+          const c = codes[(j0 + 1) * width + i0];
+          const d = codes[(j0 + 1) * width + i0 + 1];
+          if (Math.min(a, b, c, d) >= encoding.firstValue) {
+            const fx = column - i0;
+            const upper = a + (b - a) * fx;
+            const lower = c + (d - c) * fx;
+            index = Math.round((upper + (lower - upper) * (row - j0)) * LOOKUP_STEPS);
+          }
+        }
+      }
+      pixels[y * size.x + x] = lookup[index];
+    }
+  }
+  context.putImageData(image, 0, 0);
+};